@@ -19,6 +19,14 @@ CREATE TABLE users (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Properties table (the hotels of a group; each OTA configuration can sell one of them)
+CREATE TABLE properties (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Room categories table
 CREATE TABLE room_categories (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -44,15 +52,18 @@ CREATE TABLE rooms (
     room_name VARCHAR(100) NOT NULL,
     description TEXT,
     room_category_id INT,
+    property_id INT NULL, -- property the room belongs to (NULL: a single-property hotel)
     price_per_night DECIMAL(10,2) NOT NULL,
     max_occupancy INT NOT NULL DEFAULT 1,
     room_size DECIMAL(8,2),
     bed_type VARCHAR(50),
     cancellation_policy TEXT,
+    ical_token VARCHAR(64) NULL UNIQUE, -- token of the room's public iCal feed (NULL: not published)
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (room_category_id) REFERENCES room_categories(id)
+    FOREIGN KEY (room_category_id) REFERENCES room_categories(id),
+    FOREIGN KEY (property_id) REFERENCES properties(id)
 );
 
 -- Room images table
@@ -107,10 +118,13 @@ CREATE TABLE bookings (
     payment_status ENUM('pending', 'paid', 'refunded') DEFAULT 'pending',
     special_requests TEXT,
     source ENUM('direct', 'booking_com', 'agoda', 'airbnb', 'expedia', 'other') DEFAULT 'direct',
+    ota_configuration_id INT NULL, -- channel the reservation was imported from
+    ota_reservation_id VARCHAR(100) NULL, -- the channel's own reservation ID
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES customers(id),
-    FOREIGN KEY (room_id) REFERENCES rooms(id)
+    FOREIGN KEY (room_id) REFERENCES rooms(id),
+    UNIQUE KEY unique_ota_reservation (ota_configuration_id, ota_reservation_id)
 );
 
 -- Room availability table
@@ -121,40 +135,199 @@ CREATE TABLE room_availability (
     is_available BOOLEAN DEFAULT TRUE,
     price_override DECIMAL(10,2),
     min_stay INT DEFAULT 1,
-    max_stay INT DEFAULT 30,
+    max_stay INT NULL, -- NULL: no maximum stay
+    closed_to_arrival BOOLEAN DEFAULT FALSE,
+    closed_to_departure BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
     UNIQUE KEY unique_room_date (room_id, date)
 );
 
+-- Room iCal feeds (external calendars imported as holds, e.g. an Airbnb listing's export)
+CREATE TABLE room_ical_feeds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    room_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    url VARCHAR(1024) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    last_imported_at TIMESTAMP NULL,
+    last_import_status ENUM('success', 'failed') NULL,
+    last_import_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+);
+
+-- Room holds (nights taken by an event of a room's iCal feed; they block the room like a booking)
+CREATE TABLE room_holds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    room_id INT NOT NULL,
+    ical_feed_id INT NOT NULL,
+    external_uid VARCHAR(255) NOT NULL, -- UID of the feed event
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- exclusive, like a check-out date
+    summary VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (ical_feed_id) REFERENCES room_ical_feeds(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_feed_event (ical_feed_id, external_uid),
+    INDEX idx_room_holds_room (room_id, start_date, end_date)
+);
+
+-- ARI change journal (room dates whose availability, rates or restrictions changed)
+CREATE TABLE ari_change_journal (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    room_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- inclusive
+    source VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    INDEX idx_ari_change_room (room_id, start_date, end_date)
+);
+
 -- OTA configurations table
 CREATE TABLE ota_configurations (
     id INT AUTO_INCREMENT PRIMARY KEY,
     ota_name VARCHAR(100) NOT NULL,
-    api_key VARCHAR(255),
+    api_key VARCHAR(512), -- encrypted with OTA_CREDENTIALS_KEY
     api_username VARCHAR(255),
-    api_password VARCHAR(255),
+    api_password VARCHAR(512), -- encrypted with OTA_CREDENTIALS_KEY
     endpoint_url VARCHAR(255),
-    hotel_id VARCHAR(100),
+    hotel_id VARCHAR(100), -- the channel's ID for the property
+    property_id INT NULL, -- property whose rooms the channel sells (NULL: every room)
+    webhook_secret VARCHAR(512), -- HMAC key for pushed reservations, encrypted with OTA_CREDENTIALS_KEY
     is_active BOOLEAN DEFAULT TRUE,
     last_sync_at TIMESTAMP NULL,
+    last_reservation_sync_at TIMESTAMP NULL,
     sync_frequency INT DEFAULT 60, -- minutes
+    ari_window_days INT DEFAULT 365, -- days of availability and rates pushed per sync
+    rate_adjustment_type ENUM('percentage', 'fixed') DEFAULT 'percentage', -- markup on the local rate
+    rate_adjustment_value DECIMAL(10,2) DEFAULT 0.00, -- percent, or an amount in the default currency (negative for a discount)
+    rate_rounding ENUM('none', 'nearest', 'up', 'down') DEFAULT 'none',
+    rate_rounding_increment DECIMAL(10,2) DEFAULT 1.00, -- rates are rounded to a multiple of this
+    currency_code VARCHAR(3) NULL, -- currency rates are converted to and sent in (NULL: the default currency)
+    last_pushed_change_id INT NULL, -- ari_change_journal position of the last successful push (NULL: next push is full)
+    ari_pushed_through DATE NULL, -- last window date covered by a successful push
+    sync_lock_token VARCHAR(36) NULL, -- set while a sync runs (one at a time per configuration)
+    sync_locked_until TIMESTAMP NULL, -- lock lease, renewed while the sync runs; an expired lock is free
+    sync_job_id INT NULL, -- sync job holding the lock, if any
+    circuit_state ENUM('closed', 'open', 'half_open') DEFAULT 'closed', -- open: calls to the channel fail fast
+    circuit_failures INT DEFAULT 0, -- consecutive calls that could not reach the channel
+    circuit_changed_at TIMESTAMP NULL, -- when the circuit last opened or started a probe
+    circuit_last_failure_at TIMESTAMP NULL,
+    circuit_last_error TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id),
+    UNIQUE KEY unique_ota_hotel (ota_name, hotel_id) -- one configuration per channel and property
+);
+
+-- OTA room mappings table (local room or room category -> channel room type and rate plan)
+CREATE TABLE ota_room_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ota_configuration_id INT NOT NULL,
+    room_id INT NULL, -- set for a single room
+    category_id INT NULL, -- or for every room in a category not mapped on its own
+    ota_room_code VARCHAR(100) NOT NULL,
+    ota_rate_plan_code VARCHAR(100) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES room_categories(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_ota_room_rate_plan (ota_configuration_id, ota_room_code, ota_rate_plan_code)
+);
+
+-- OTA allotments (most rooms of a channel room type a channel may sell per night)
+CREATE TABLE ota_allotments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ota_configuration_id INT NOT NULL,
+    ota_room_code VARCHAR(100) NOT NULL,
+    max_rooms INT NOT NULL, -- per night, the channel's own reservations included
+    start_date DATE NULL, -- NULL: no start
+    end_date DATE NULL, -- inclusive; NULL: no end
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id) ON DELETE CASCADE,
+    INDEX idx_ota_allotments_config (ota_configuration_id, ota_room_code)
+);
+
+-- OTA stop-sells (a channel, or one of its room types, closed for a date range)
+CREATE TABLE ota_stop_sells (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ota_configuration_id INT NOT NULL,
+    ota_room_code VARCHAR(100) NULL, -- NULL: every room type
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL, -- inclusive
+    reason VARCHAR(255),
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_ota_stop_sells_config (ota_configuration_id, start_date, end_date)
 );
 
 -- OTA sync logs table
 CREATE TABLE ota_sync_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
     ota_configuration_id INT,
-    sync_type ENUM('availability', 'rates', 'inventory', 'bookings') NOT NULL,
+    sync_type ENUM('availability', 'rates', 'inventory', 'bookings', 'export', 'connection') NOT NULL,
     status ENUM('success', 'failed', 'partial') NOT NULL,
     message TEXT,
     sync_started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     sync_completed_at TIMESTAMP NULL,
     records_processed INT DEFAULT 0,
-    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id)
+    http_status INT NULL, -- status of the last HTTP response from the channel
+    duration_ms INT NULL,
+    exchanges MEDIUMTEXT NULL, -- JSON: requests sent and responses received (secrets masked), cleared after OTA_SYNC_LOG_RETENTION_DAYS
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id),
+    INDEX idx_ota_sync_logs_started (sync_started_at)
+);
+
+-- OTA retry jobs (failed ARI pushes awaiting a retry, or dead-lettered once out of attempts)
+CREATE TABLE ota_retry_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ota_configuration_id INT NOT NULL,
+    status ENUM('pending', 'dead') DEFAULT 'pending',
+    attempts INT DEFAULT 0, -- failed pushes so far, including the first
+    max_attempts INT NOT NULL,
+    next_attempt_at TIMESTAMP NULL,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id) ON DELETE CASCADE,
+    INDEX idx_ota_retry_due (status, next_attempt_at)
+);
+
+-- OTA sync jobs (manual syncs run in the background, with one item per channel)
+CREATE TABLE ota_sync_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('queued', 'running', 'completed', 'failed') DEFAULT 'queued',
+    full_sync BOOLEAN DEFAULT FALSE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE ota_sync_job_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_id INT NOT NULL,
+    ota_configuration_id INT NULL,
+    ota_name VARCHAR(100),
+    status ENUM('pending', 'running', 'success', 'partial', 'failed') DEFAULT 'pending',
+    mode ENUM('full', 'delta') NULL,
+    records_processed INT DEFAULT 0,
+    message TEXT,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (job_id) REFERENCES ota_sync_jobs(id) ON DELETE CASCADE,
+    FOREIGN KEY (ota_configuration_id) REFERENCES ota_configurations(id) ON DELETE SET NULL
 );
 
 -- Settings table
@@ -83,6 +83,10 @@ const validateRoom = [
         .optional()
         .isLength({ max: 1000 })
         .withMessage('Cancellation policy must be max 1000 characters'),
+    body('property_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Property must be a valid property ID'),
     handleValidationErrors
 ];
 
@@ -182,6 +186,86 @@ const validateSearch = [
     handleValidationErrors
 ];
 
+// Calendar update validation rules (shared by single-room and bulk endpoints)
+const calendarUpdateRules = [
+    body('updates')
+        .isArray({ min: 1 })
+        .withMessage('At least one calendar update is required'),
+    body('updates.*.start_date')
+        .isISO8601()
+        .withMessage('Valid start date is required'),
+    body('updates.*.end_date')
+        .isISO8601()
+        .withMessage('Valid end date is required')
+        .custom((endDate, { req, path }) => {
+            const index = path.match(/\[(\d+)\]/)[1];
+            const startDate = req.body.updates[index].start_date;
+            const days = (new Date(endDate) - new Date(startDate)) / 86400000;
+            if (days < 0) {
+                throw new Error('End date must be on or after start date');
+            }
+            if (days > 730) {
+                throw new Error('A calendar update can cover at most 730 days');
+            }
+            return true;
+        }),
+    body('updates.*.days_of_week')
+        .optional()
+        .isArray()
+        .withMessage('Days of week must be an array'),
+    body('updates.*.days_of_week.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+    body('updates.*.price_override')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Price override must be a positive number'),
+    body('updates.*.is_available')
+        .optional()
+        .isBoolean()
+        .withMessage('is_available must be true or false'),
+    body('updates.*.min_stay')
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Minimum stay must be between 1 and 365 nights'),
+    body('updates.*.max_stay')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Maximum stay must be between 1 and 365 nights')
+        .custom((maxStay, { req, path }) => {
+            const index = path.match(/\[(\d+)\]/)[1];
+            const minStay = req.body.updates[index].min_stay;
+            if (minStay !== undefined && parseInt(minStay) > parseInt(maxStay)) {
+                throw new Error('Minimum stay cannot exceed maximum stay');
+            }
+            return true;
+        }),
+    body('updates.*.closed_to_arrival')
+        .optional()
+        .isBoolean()
+        .withMessage('closed_to_arrival must be true or false'),
+    body('updates.*.closed_to_departure')
+        .optional()
+        .isBoolean()
+        .withMessage('closed_to_departure must be true or false')
+];
+
+const validateCalendarUpdate = [
+    ...calendarUpdateRules,
+    handleValidationErrors
+];
+
+const validateBulkCalendarUpdate = [
+    body('room_ids')
+        .isArray({ min: 1 })
+        .withMessage('At least one room ID is required'),
+    body('room_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Valid room IDs are required'),
+    ...calendarUpdateRules,
+    handleValidationErrors
+];
+
 module.exports = {
     validateLogin,
     validateRegister,
@@ -189,5 +273,7 @@ module.exports = {
     validateBooking,
     validateCustomer,
     validateSearch,
+    validateCalendarUpdate,
+    validateBulkCalendarUpdate,
     handleValidationErrors
 };
\ No newline at end of file
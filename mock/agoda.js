@@ -0,0 +1,103 @@
+const { getSeedStatus, changedSince, simulate, createMockApp, parseJsonBody } = require('./utils');
+
+// Local stand-in for Agoda's JSON API: ARI and the connection test are posted to the
+// endpoint itself, reservations are pulled from GET bookings. Point a configuration's
+// endpoint_url at http://localhost:<port>/.
+
+const sendError = (res, status, message) => {
+    res.status(status).json({ Success: false, Error: message });
+};
+
+// Agoda's booking statuses, by seed status
+const BOOKING_STATUSES = { new: 'Confirmed', modified: 'Amended', cancelled: 'Cancelled' };
+
+// Serialize a reservation seed into an Agoda booking
+const buildBooking = (seed) => ({
+    BookingId: String(seed.id),
+    Status: BOOKING_STATUSES[getSeedStatus(seed)],
+    RoomId: String(seed.room_type_id),
+    RatePlan: seed.rate_plan_id || 'STANDARD',
+    CheckIn: seed.arrival,
+    CheckOut: seed.departure,
+    Adults: seed.adults || 1,
+    Children: seed.children || 0,
+    TotalAmount: seed.total,
+    Currency: seed.total ? seed.currency || 'USD' : undefined,
+    SpecialRequest: seed.special_request,
+    Guest: {
+        FirstName: seed.given_name,
+        LastName: seed.surname,
+        Email: seed.email,
+        Phone: seed.phone
+    }
+});
+
+// Create the mock Agoda app. options: { apiKey, hotelId, reservations, faults, latencyMs }
+// (see mock/utils.js). Received ARI is kept on app.locals.updates, one entry per room.
+const createAgodaMock = (options = {}) => {
+    const {
+        apiKey = 'agoda_key',
+        hotelId = '3000'
+    } = options;
+
+    const app = createMockApp(options);
+
+    // Check the API key and hotel; sends an error and returns false when either is wrong
+    const authorize = (req, res, requestHotelId) => {
+        if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+            sendError(res, 401, 'Invalid API key');
+            return false;
+        }
+        if (String(requestHotelId) !== String(hotelId)) {
+            sendError(res, 403, `Hotel ${requestHotelId} is not mapped to this account`);
+            return false;
+        }
+        return true;
+    };
+
+    // The endpoint takes both ARI updates and the connection test, told apart by Rooms
+    const getOperation = (req) => {
+        const body = parseJsonBody(req);
+        return body && body.Rooms !== undefined ? 'ari' : 'test';
+    };
+
+    app.post('/', simulate(getOperation, sendError), (req, res) => {
+        const body = parseJsonBody(req);
+        if (!body) {
+            return sendError(res, 400, 'Malformed JSON');
+        }
+        if (!authorize(req, res, body.HotelId)) {
+            return;
+        }
+
+        if (req.operation === 'test') {
+            return res.json({ Success: true, RequestId: body.RequestId });
+        }
+
+        const rooms = Array.isArray(body.Rooms) ? body.Rooms : null;
+        if (!rooms || rooms.some(room => !room.RoomId || !Array.isArray(room.Rates))) {
+            return sendError(res, 400, 'Each room needs a RoomId and Rates');
+        }
+
+        app.locals.updates.push(...rooms);
+        res.json({
+            Success: true,
+            RequestId: body.RequestId,
+            RatesProcessed: rooms.reduce((total, room) => total + room.Rates.length, 0)
+        });
+    });
+
+    // Reservation pull: the seeds changed since modified_since
+    app.get('/bookings', simulate('reservations', sendError), (req, res) => {
+        if (!authorize(req, res, req.query.hotel_id)) {
+            return;
+        }
+        res.json({ Bookings: changedSince(app.locals.reservations, req.query.modified_since).map(buildBooking) });
+    });
+
+    return app;
+};
+
+module.exports = {
+    createAgodaMock
+};
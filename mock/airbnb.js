@@ -0,0 +1,103 @@
+const { getSeedStatus, changedSince, simulate, createMockApp, parseJsonBody } = require('./utils');
+
+// Local stand-in for Airbnb's JSON API: calendar operations are posted to the endpoint
+// itself, GET test checks the connection and GET reservations pulls reservations.
+// Point a configuration's endpoint_url at http://localhost:<port>/.
+
+const sendError = (res, status, message) => {
+    res.status(status).json({ error_code: status, error_message: message });
+};
+
+// Airbnb's reservation statuses, by seed status
+const RESERVATION_STATUSES = { new: 'accepted', modified: 'altered', cancelled: 'cancelled' };
+
+// Serialize a reservation seed into an Airbnb reservation
+const buildReservation = (seed, listingId) => ({
+    confirmation_code: String(seed.id),
+    listing_id: String(listingId),
+    status: RESERVATION_STATUSES[getSeedStatus(seed)],
+    room_id: String(seed.room_type_id),
+    start_date: seed.arrival,
+    end_date: seed.departure,
+    guest_details: {
+        number_of_adults: seed.adults || 1,
+        number_of_children: seed.children || 0
+    },
+    expected_payout_amount: seed.total,
+    listing_currency: seed.total ? seed.currency || 'USD' : undefined,
+    guest_message: seed.special_request,
+    guest: {
+        first_name: seed.given_name,
+        last_name: seed.surname,
+        email: seed.email,
+        phone: seed.phone
+    }
+});
+
+// Create the mock Airbnb app. options: { apiKey, listingId, reservations, faults,
+// latencyMs } (see mock/utils.js). Received calendar operations are kept on
+// app.locals.updates, one entry per night.
+const createAirbnbMock = (options = {}) => {
+    const {
+        apiKey = 'airbnb_key',
+        listingId = '4000'
+    } = options;
+
+    const app = createMockApp(options);
+
+    // Check the API key (and listing, when one is given); sends an error and returns
+    // false when either is wrong
+    const authorize = (req, res, requestListingId) => {
+        if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+            sendError(res, 401, 'Invalid access token');
+            return false;
+        }
+        if (requestListingId !== undefined && String(requestListingId) !== String(listingId)) {
+            sendError(res, 403, `Listing ${requestListingId} does not belong to this account`);
+            return false;
+        }
+        return true;
+    };
+
+    app.post('/', simulate('ari', sendError), (req, res) => {
+        const body = parseJsonBody(req);
+        if (!body) {
+            return sendError(res, 400, 'Malformed JSON');
+        }
+        if (!authorize(req, res, body.listing_id === undefined ? null : body.listing_id)) {
+            return;
+        }
+
+        const operations = Array.isArray(body.operations) ? body.operations : null;
+        if (!operations || operations.some(operation => !operation.room_id || !operation.date)) {
+            return sendError(res, 400, 'Each operation needs a room_id and a date');
+        }
+
+        app.locals.updates.push(...operations);
+        res.json({ listing_id: String(listingId), operations_processed: operations.length });
+    });
+
+    app.get('/test', simulate('test', sendError), (req, res) => {
+        if (!authorize(req, res)) {
+            return;
+        }
+        res.json({ status: 'ok' });
+    });
+
+    // Reservation pull: the seeds changed since updated_since
+    app.get('/reservations', simulate('reservations', sendError), (req, res) => {
+        if (!authorize(req, res, req.query.listing_id === undefined ? null : req.query.listing_id)) {
+            return;
+        }
+        res.json({
+            reservations: changedSince(app.locals.reservations, req.query.updated_since)
+                .map(seed => buildReservation(seed, listingId))
+        });
+    });
+
+    return app;
+};
+
+module.exports = {
+    createAirbnbMock
+};
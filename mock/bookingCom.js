@@ -0,0 +1,174 @@
+const xml2js = require('xml2js');
+const js2xmlparser = require('js2xmlparser');
+const moment = require('moment');
+const { toArray, getSeedStatus, changedSince, simulate, createMockApp } = require('./utils');
+
+// Local stand-in for Booking.com: ARI through its OpenTravel interface
+// (OTA_HotelAvailNotif, OTA_HotelRateAmountNotif), the connection test and the
+// <reservations> pull. It also answers OTA_Ping, so it serves the generic OpenTravel
+// adapter too. Point a configuration's endpoint_url at http://localhost:<port>/.
+
+const OTA_NAMESPACE = 'http://www.opentravel.org/OTA/2003/05';
+
+const parseXml = (xml) => xml2js.parseStringPromise(xml, {
+    explicitArray: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+});
+
+// An OpenTravel RS: <Success/> (with `content`), or <Errors> when there is an error message
+const buildRS = (rootName, echoToken, errorMessage = null, content = {}) => js2xmlparser.parse(rootName, {
+    '@': { xmlns: OTA_NAMESPACE, EchoToken: echoToken || `mock_${Date.now()}`, TimeStamp: moment().toISOString(), Version: '1.0' },
+    ...(errorMessage
+        ? { Errors: { Error: { '@': { Type: '3', ShortText: errorMessage } } } }
+        : { Success: '', ...content })
+});
+
+// The RS each request path answers with
+const RESPONSE_NAMES = {
+    '/OTA_HotelAvailNotif': 'OTA_HotelAvailNotifRS',
+    '/OTA_HotelRateAmountNotif': 'OTA_HotelRateAmountNotifRS',
+    '/OTA_Ping': 'OTA_PingRS'
+};
+
+// Errors outside the OpenTravel messages use Booking.com's own <error> document
+const sendError = (res, status, message) => {
+    const responseName = RESPONSE_NAMES[res.req.path];
+    res.status(status).type('application/xml').send(responseName
+        ? buildRS(responseName, null, message)
+        : js2xmlparser.parse('error', { status: 'error', message }));
+};
+
+// Serialize a reservation seed into a Booking.com <reservation> element
+const buildReservation = (seed) => ({
+    id: String(seed.id),
+    status: getSeedStatus(seed),
+    room_id: String(seed.room_type_id),
+    rate_plan_id: seed.rate_plan_id || 'STANDARD',
+    checkin: seed.arrival,
+    checkout: seed.departure,
+    adults: seed.adults || 1,
+    children: seed.children || 0,
+    ...(seed.total ? { total_price: seed.total, currency: seed.currency || 'USD' } : {}),
+    ...(seed.special_request ? { remarks: seed.special_request } : {}),
+    customer: {
+        ...(seed.given_name ? { first_name: seed.given_name } : {}),
+        ...(seed.surname ? { last_name: seed.surname } : {}),
+        ...(seed.email ? { email: seed.email } : {}),
+        ...(seed.phone ? { telephone: seed.phone } : {})
+    }
+});
+
+// Create the mock Booking.com app. options: { username, password, hotelId, reservations,
+// faults, latencyMs } (see mock/utils.js). Received ARI messages are kept on
+// app.locals.updates as { message, hotel_code, ...parsed element }.
+const createBookingComMock = (options = {}) => {
+    const {
+        username = 'booking_user',
+        password = 'booking_pass',
+        hotelId = '2000'
+    } = options;
+
+    const app = createMockApp(options);
+
+    // Booking.com takes HTTP Basic credentials on every call
+    const isAuthorized = (req) => req.get('Authorization') ===
+        `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    // Parse the XML body and check credentials; returns the named root element, or sends
+    // an error and returns null
+    const readRequest = async (req, res, rootName) => {
+        if (!isAuthorized(req)) {
+            sendError(res, 401, 'Authentication error: invalid username or password');
+            return null;
+        }
+
+        let root;
+        try {
+            const parsed = await parseXml(req.body || '');
+            root = parsed && parsed[rootName];
+        } catch (error) {
+            sendError(res, 400, `Malformed XML: ${error.message}`);
+            return null;
+        }
+
+        if (!root) {
+            sendError(res, 400, `Expected ${rootName}`);
+            return null;
+        }
+        return root;
+    };
+
+    // OpenTravel ARI notification: record its messages, refusing other hotels
+    const receiveNotification = (rootName, containerName, messageName, responseName) => async (req, res) => {
+        const root = await readRequest(req, res, rootName);
+        if (!root) {
+            return;
+        }
+
+        const echoToken = root.$ ? root.$.EchoToken : undefined;
+        const container = root[containerName] || {};
+        const hotelCode = container.$ ? container.$.HotelCode : undefined;
+        if (String(hotelCode) !== String(hotelId)) {
+            return res.type('application/xml').send(buildRS(responseName, echoToken, `Hotel ${hotelCode} is not mapped to this account`));
+        }
+
+        const messages = toArray(container[messageName]);
+        if (messages.length === 0 || messages.some(message => !message.StatusApplicationControl)) {
+            return res.type('application/xml').send(buildRS(responseName, echoToken, `Each ${messageName} needs a StatusApplicationControl`));
+        }
+
+        app.locals.updates.push(...messages.map(message => ({ message: rootName, hotel_code: hotelCode, ...message })));
+        res.type('application/xml').send(buildRS(responseName, echoToken));
+    };
+
+    app.post('/OTA_HotelAvailNotif', simulate('ari', sendError),
+        receiveNotification('OTA_HotelAvailNotifRQ', 'AvailStatusMessages', 'AvailStatusMessage', 'OTA_HotelAvailNotifRS'));
+
+    app.post('/OTA_HotelRateAmountNotif', simulate('ari', sendError),
+        receiveNotification('OTA_HotelRateAmountNotifRQ', 'RateAmountMessages', 'RateAmountMessage', 'OTA_HotelRateAmountNotifRS'));
+
+    // OpenTravel connectivity check
+    app.post('/OTA_Ping', simulate('test', sendError), async (req, res) => {
+        const root = await readRequest(req, res, 'OTA_PingRQ');
+        if (!root) {
+            return;
+        }
+        res.type('application/xml').send(buildRS('OTA_PingRS', root.$ ? root.$.EchoToken : undefined, null, {
+            EchoData: typeof root.EchoData === 'string' ? root.EchoData : ''
+        }));
+    });
+
+    // Booking.com's own connection test, posted to the endpoint itself
+    app.post('/', simulate('test', sendError), async (req, res) => {
+        const root = await readRequest(req, res, 'test_connection');
+        if (!root) {
+            return;
+        }
+        if (String(root.hotel_id) !== String(hotelId)) {
+            return sendError(res, 403, `Hotel ${root.hotel_id} is not mapped to this account`);
+        }
+        res.type('application/xml').send(js2xmlparser.parse('test_connection_response', { status: 'ok' }));
+    });
+
+    // Reservation pull: the seeds changed since last_change
+    app.post('/reservations', simulate('reservations', sendError), async (req, res) => {
+        const root = await readRequest(req, res, 'reservations_request');
+        if (!root) {
+            return;
+        }
+        if (String(root.hotel_id) !== String(hotelId)) {
+            return sendError(res, 403, `Hotel ${root.hotel_id} is not mapped to this account`);
+        }
+
+        res.type('application/xml').send(js2xmlparser.parse('reservations', {
+            hotel_id: String(hotelId),
+            reservation: changedSince(app.locals.reservations, root.last_change).map(buildReservation)
+        }));
+    });
+
+    return app;
+};
+
+module.exports = {
+    createBookingComMock
+};
@@ -0,0 +1,144 @@
+const xml2js = require('xml2js');
+const js2xmlparser = require('js2xmlparser');
+const moment = require('moment');
+const { toArray, attributes, changedSince, simulate, createMockApp } = require('./utils');
+
+// Local stand-in for Expedia Partner Central (EQC AR + BR), so the Expedia adapter
+// can be exercised without network access. Point a configuration's endpoint_url
+// at http://localhost:<port>/ to use it.
+
+const AR_NAMESPACE = 'http://www.expediaconnect.com/EQC/AR/2011/06';
+const BR_NAMESPACE = 'http://www.expediaconnect.com/EQC/BR/2014/01';
+
+// An EQC error response
+const buildErrorRS = (responseName, namespace, code, message) => js2xmlparser.parse(responseName, {
+    '@': { xmlns: namespace },
+    Error: { '@': { code }, '#': message }
+});
+
+// Scripted faults answer in the format of the API they hit
+const sendFault = (res, status, message) => {
+    const [responseName, namespace] = res.req.path === '/eqc/br'
+        ? ['BookingRetrievalRS', BR_NAMESPACE]
+        : ['AvailRateUpdateRS', AR_NAMESPACE];
+    res.status(status).type('text/xml').send(buildErrorRS(responseName, namespace, String(status), message));
+};
+
+// Serialize a seeded booking into an EQC <Booking> element
+const buildBooking = (booking) => ({
+    '@': {
+        id: String(booking.id),
+        type: booking.type || 'Book',
+        createDateTime: booking.created_at || moment().toISOString(),
+        source: 'Expedia',
+        status: 'pending'
+    },
+    Hotel: { '@': { id: String(booking.hotel_id) } },
+    RoomStay: {
+        '@': { roomTypeID: String(booking.room_type_id), ratePlanID: booking.rate_plan_id || 'STANDARD' },
+        StayDate: { '@': { arrival: booking.arrival, departure: booking.departure } },
+        GuestCount: { '@': { adult: booking.adults || 1, child: booking.children || 0 } },
+        ...(booking.total ? { Total: { '@': { amountAfterTaxes: booking.total, currency: booking.currency || 'USD' } } } : {})
+    },
+    PrimaryGuest: {
+        Name: { '@': attributes({ givenName: booking.given_name, surname: booking.surname }) },
+        ...(booking.phone ? { Phone: { '@': { countryCode: '1', cityAreaCode: '', number: booking.phone } } } : {}),
+        ...(booking.email ? { Email: booking.email } : {})
+    },
+    ...(booking.special_request ? { SpecialRequest: { '@': { code: '5' }, '#': booking.special_request } } : {})
+});
+
+// Create the mock Expedia app. options: { username, password, hotelId, reservations,
+// faults, latencyMs } (see mock/utils.js; `bookings` is accepted for reservations).
+// Received ARI updates are kept on app.locals.updates.
+const createExpediaMock = (options = {}) => {
+    const {
+        username = 'expedia_user',
+        password = 'expedia_pass',
+        hotelId = '1000'
+    } = options;
+
+    const app = createMockApp({ ...options, reservations: options.reservations || options.bookings });
+
+    // Parse the request and check credentials and hotel; returns the root element
+    // or sends an EQC error response and returns null
+    const authenticate = async (req, res, rootName, responseName, namespace) => {
+        const sendError = (code, message) => {
+            res.type('text/xml').send(buildErrorRS(responseName, namespace, code, message));
+            return null;
+        };
+
+        let root;
+        try {
+            const parsed = await xml2js.parseStringPromise(req.body, {
+                explicitArray: false,
+                tagNameProcessors: [xml2js.processors.stripPrefix]
+            });
+            root = parsed && parsed[rootName];
+        } catch (error) {
+            return sendError('2001', `Malformed XML: ${error.message}`);
+        }
+
+        if (!root) {
+            return sendError('2001', `Expected ${rootName}`);
+        }
+
+        const auth = (root.Authentication && root.Authentication.$) || {};
+        if (auth.username !== username || auth.password !== password) {
+            return sendError('1001', 'Authentication error: invalid username or password');
+        }
+
+        const hotel = (root.Hotel && root.Hotel.$) || {};
+        if (String(hotel.id) !== String(hotelId)) {
+            return sendError('3202', `Hotel ${hotel.id} is not mapped to this account`);
+        }
+
+        return root;
+    };
+
+    // Availability & Rates
+    app.post('/eqc/ar', simulate('ari', sendFault), async (req, res) => {
+        const root = await authenticate(req, res, 'AvailRateUpdateRQ', 'AvailRateUpdateRS', AR_NAMESPACE);
+        if (!root) {
+            return;
+        }
+
+        const updates = toArray(root.AvailRateUpdate);
+        const invalid = updates.find(update => !update.DateRange || !update.RoomType);
+        if (invalid) {
+            return res.type('text/xml').send(buildErrorRS('AvailRateUpdateRS', AR_NAMESPACE, '4000', 'Each AvailRateUpdate needs a DateRange and a RoomType'));
+        }
+
+        app.locals.updates.push(...updates);
+
+        res.type('text/xml').send(js2xmlparser.parse('AvailRateUpdateRS', {
+            '@': { xmlns: AR_NAMESPACE },
+            Success: ''
+        }));
+    });
+
+    // Booking Retrieval
+    app.post('/eqc/br', simulate('reservations', sendFault), async (req, res) => {
+        const root = await authenticate(req, res, 'BookingRetrievalRQ', 'BookingRetrievalRS', BR_NAMESPACE);
+        if (!root) {
+            return;
+        }
+
+        // NbDaysInPast limits the bookings to those changed in the last days
+        const daysInPast = root.ParamSet ? parseInt(root.ParamSet.NbDaysInPast) : NaN;
+        const since = Number.isNaN(daysInPast) ? null : moment().subtract(daysInPast, 'days');
+
+        res.type('text/xml').send(js2xmlparser.parse('BookingRetrievalRS', {
+            '@': { xmlns: BR_NAMESPACE },
+            Bookings: {
+                Booking: changedSince(app.locals.reservations, since).map(booking => buildBooking({ hotel_id: hotelId, ...booking }))
+            }
+        }));
+    });
+
+    return app;
+};
+
+module.exports = {
+    createExpediaMock
+};
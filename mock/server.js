@@ -0,0 +1,80 @@
+const { sampleReservation } = require('./utils');
+const { createBookingComMock } = require('./bookingCom');
+const { createAgodaMock } = require('./agoda');
+const { createAirbnbMock } = require('./airbnb');
+const { createExpediaMock } = require('./expedia');
+
+// Mock channel servers, so sync, test-connection and reservation import can run without
+// a partner endpoint. Each channel takes the options of its factory plus the shared
+// reservations, faults and latencyMs (see mock/utils.js), and records what it receives.
+//
+// From tests:
+//   const mock = await startMockServer({ channel: 'agoda', latencyMs: 50 });
+//   config.endpoint_url = mock.url;
+//   ... mock.app.locals.updates, mock.app.locals.faults.push({ operation: 'ari', status: 503 }) ...
+//   await mock.close();
+//
+// Standalone: node mock/server.js <channel> (see the mock:* npm scripts), scripted over
+// HTTP through /_mock.
+
+const CHANNELS = {
+    booking_com: { create: createBookingComMock, port: 4011, credentials: 'username booking_user, password booking_pass, hotel 2000' },
+    agoda: { create: createAgodaMock, port: 4012, credentials: 'API key agoda_key, hotel 3000' },
+    airbnb: { create: createAirbnbMock, port: 4013, credentials: 'API key airbnb_key, listing 4000' },
+    expedia: { create: createExpediaMock, port: 4010, credentials: 'username expedia_user, password expedia_pass, hotel 1000' }
+};
+
+// Create the express app of a mock channel. options: { channel, ...channel options }.
+const createMockServer = (options = {}) => {
+    const { channel = 'booking_com', ...channelOptions } = options;
+    const definition = CHANNELS[channel];
+    if (!definition) {
+        throw new Error(`Unknown mock channel: ${channel} (expected one of: ${Object.keys(CHANNELS).join(', ')})`);
+    }
+    return definition.create(channelOptions);
+};
+
+// Start a mock channel on `port` (a free one by default).
+// Resolves { app, server, url, close }, with url ready to use as an endpoint_url.
+const startMockServer = (options = {}) => {
+    const { port = 0, ...serverOptions } = options;
+    const app = createMockServer(serverOptions);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            resolve({
+                app,
+                server,
+                url: `http://127.0.0.1:${server.address().port}/`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+};
+
+// Run standalone: node mock/server.js <channel>
+if (require.main === module) {
+    const channel = process.argv[2] || process.env.MOCK_OTA_CHANNEL || 'booking_com';
+    const definition = CHANNELS[channel];
+    if (!definition) {
+        console.error(`Unknown mock channel: ${channel} (expected one of: ${Object.keys(CHANNELS).join(', ')})`);
+        process.exit(1);
+    }
+
+    const PORT = parseInt(process.env.MOCK_OTA_PORT) || definition.port;
+    const app = createMockServer({
+        channel,
+        reservations: [sampleReservation()],
+        latencyMs: parseInt(process.env.MOCK_OTA_LATENCY_MS) || 0
+    });
+
+    app.listen(PORT, () => {
+        console.log(`🧪 Mock ${channel} listening on port ${PORT} (${definition.credentials}), controlled through /_mock`);
+    });
+}
+
+module.exports = {
+    createMockServer,
+    startMockServer
+};
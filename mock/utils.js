@@ -0,0 +1,217 @@
+const express = require('express');
+const moment = require('moment');
+
+// Plumbing shared by the mock channels: every request is recorded, and responses can be
+// slowed down or replaced by scripted faults, either from code (app.locals) or over HTTP
+// through the /_mock control API, for a mock running in its own process.
+//
+// app.locals of a mock app:
+//   requests      every channel request received: { operation, method, path, query, headers, body, received_at }
+//   updates       ARI received, one entry per room type/date range or night, in the channel's format
+//   reservations  reservation seeds served to reservation pulls (see below)
+//   faults        scripted faults, used in order (see takeFault)
+//   latencyMs     delay before every response
+//
+// A reservation seed is channel-neutral and rendered in each channel's format:
+//   { id, type: 'Book' | 'Modify' | 'Cancel', room_type_id, rate_plan_id, arrival, departure,
+//     adults, children, total, currency, given_name, surname, email, phone, special_request,
+//     updated_at }
+//
+// A fault applies to the next request of its operation ('ari', 'reservations' or 'test';
+// any operation when left out), `times` times (1 by default):
+//   { operation, status, message, delay_ms, disconnect, times }
+// It answers with `status` (500 by default) and `message` in the channel's error format,
+// drops the connection with `disconnect: true`, or, with only `delay_ms`, just answers late.
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Drop attributes that were not seeded, so they are omitted rather than serialized as "undefined"
+const attributes = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A seed's type as new/modified/cancelled
+const getSeedStatus = (seed) => {
+    const type = String(seed.type || 'Book').toLowerCase();
+    if (type.includes('cancel')) {
+        return 'cancelled';
+    }
+    return type.includes('modif') ? 'modified' : 'new';
+};
+
+// Seeds changed after `since` (those without updated_at always are)
+const changedSince = (seeds, since) => {
+    if (!since || !moment(since).isValid()) {
+        return seeds;
+    }
+    return seeds.filter(seed => !seed.updated_at || moment(seed.updated_at).isAfter(moment(since)));
+};
+
+// The reservation standalone mocks start with
+const sampleReservation = () => ({
+    id: 'MOCK-1001',
+    room_type_id: 1,
+    arrival: moment().add(7, 'days').format('YYYY-MM-DD'),
+    departure: moment().add(9, 'days').format('YYYY-MM-DD'),
+    adults: 2,
+    total: '240.00',
+    given_name: 'Test',
+    surname: 'Guest',
+    email: 'test.guest@example.com'
+});
+
+// Take the next fault scripted for an operation, or null
+const takeFault = (app, operation) => {
+    const index = app.locals.faults.findIndex(fault => !fault.operation || fault.operation === operation);
+    if (index === -1) {
+        return null;
+    }
+
+    const fault = app.locals.faults[index];
+    const remaining = (fault.times === undefined ? 1 : fault.times) - 1;
+    if (remaining > 0) {
+        app.locals.faults[index] = { ...fault, times: remaining };
+    } else {
+        app.locals.faults.splice(index, 1);
+    }
+    return fault;
+};
+
+// Middleware for a channel route: records the request, then waits out the latency and
+// applies the next scripted fault. `operation` is a name or a function of the request;
+// sendError(res, status, message) answers in the channel's error format.
+const simulate = (operation, sendError) => async (req, res, next) => {
+    const app = req.app;
+    const name = typeof operation === 'function' ? operation(req) : operation;
+    req.operation = name;
+
+    app.locals.requests.push({
+        operation: name,
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        headers: req.headers,
+        body: typeof req.body === 'string' ? req.body : null,
+        received_at: new Date().toISOString()
+    });
+
+    const fault = takeFault(app, name);
+    const delay = fault && fault.delay_ms !== undefined ? fault.delay_ms : app.locals.latencyMs;
+    if (delay > 0) {
+        await sleep(delay);
+    }
+
+    if (fault && fault.disconnect) {
+        return req.socket.destroy();
+    }
+    if (fault && (fault.status || fault.message)) {
+        return sendError(res, fault.status || 500, fault.message || 'Scripted failure');
+    }
+    next();
+};
+
+// Control API under /_mock, answering JSON
+const createControlRouter = (initialLatencyMs) => {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get('/requests', (req, res) => {
+        res.json({ requests: req.app.locals.requests });
+    });
+
+    router.get('/updates', (req, res) => {
+        res.json({ updates: req.app.locals.updates });
+    });
+
+    router.get('/reservations', (req, res) => {
+        res.json({ reservations: req.app.locals.reservations });
+    });
+
+    // Replace the reservations with { reservations: [...] }
+    router.put('/reservations', (req, res) => {
+        if (!Array.isArray(req.body.reservations)) {
+            return res.status(400).json({ error: 'reservations must be an array' });
+        }
+        req.app.locals.reservations = req.body.reservations;
+        res.json({ reservations: req.app.locals.reservations });
+    });
+
+    // Add one reservation
+    router.post('/reservations', (req, res) => {
+        if (!req.body.id) {
+            return res.status(400).json({ error: 'A reservation needs an id' });
+        }
+        req.app.locals.reservations.push(req.body);
+        res.status(201).json({ reservations: req.app.locals.reservations });
+    });
+
+    // Queue faults: { faults: [...] } or a single fault
+    router.post('/faults', (req, res) => {
+        const faults = Array.isArray(req.body.faults) ? req.body.faults : [req.body];
+        req.app.locals.faults.push(...faults);
+        res.status(201).json({ faults: req.app.locals.faults });
+    });
+
+    router.get('/faults', (req, res) => {
+        res.json({ faults: req.app.locals.faults });
+    });
+
+    router.put('/latency', (req, res) => {
+        const latencyMs = parseInt(req.body.latency_ms);
+        if (Number.isNaN(latencyMs) || latencyMs < 0) {
+            return res.status(400).json({ error: 'latency_ms must be a non-negative number' });
+        }
+        req.app.locals.latencyMs = latencyMs;
+        res.json({ latency_ms: latencyMs });
+    });
+
+    // Forget received requests and ARI, drop queued faults and restore the latency;
+    // the reservations are kept
+    router.post('/reset', (req, res) => {
+        req.app.locals.requests = [];
+        req.app.locals.updates = [];
+        req.app.locals.faults = [];
+        req.app.locals.latencyMs = initialLatencyMs;
+        res.json({ message: 'Mock reset' });
+    });
+
+    return router;
+};
+
+// Create the express app a mock channel adds its routes to.
+// options: { reservations, faults, latencyMs }. Channel routes get the raw body as text.
+const createMockApp = (options = {}) => {
+    const latencyMs = options.latencyMs || 0;
+
+    const app = express();
+    app.locals.requests = [];
+    app.locals.updates = [];
+    app.locals.reservations = options.reservations || [];
+    app.locals.faults = options.faults ? [...options.faults] : [];
+    app.locals.latencyMs = latencyMs;
+
+    app.use('/_mock', createControlRouter(latencyMs));
+    app.use(express.text({ type: '*/*', limit: '10mb' }));
+
+    return app;
+};
+
+// Parse a JSON request body (received as text); returns undefined when it is not JSON
+const parseJsonBody = (req) => {
+    try {
+        return req.body ? JSON.parse(req.body) : {};
+    } catch (error) {
+        return undefined;
+    }
+};
+
+module.exports = {
+    toArray,
+    attributes,
+    getSeedStatus,
+    changedSince,
+    sampleReservation,
+    simulate,
+    createMockApp,
+    parseJsonBody
+};
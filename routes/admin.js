@@ -2,6 +2,8 @@ const express = require('express');
 const moment = require('moment');
 const db = require('../config/database');
 const { authenticateToken, requireManager } = require('../middleware/auth');
+const { getARIUnits } = require('../services/ota/sync');
+const { CIRCUIT_COLUMNS, getChannelHealth } = require('../services/ota/circuitBreaker');
 
 const router = express.Router();
 
@@ -250,6 +252,29 @@ router.get('/availability-calendar', authenticateToken, requireManager, async (r
             AND NOT (check_out_date <= ? OR check_in_date >= ?)
         `, [startDate, endDate]);
         
+        // Holds imported from room iCal feeds
+        const holds = await db.execute(`
+            SELECT h.room_id, h.start_date, h.end_date, h.summary, f.name AS feed_name
+            FROM room_holds h
+            JOIN room_ical_feeds f ON h.ical_feed_id = f.id
+            WHERE NOT (h.end_date <= ? OR h.start_date >= ?)
+        `, [startDate, endDate]);
+        
+        // What each active channel is offered per room type, after its allotments and stop-sells
+        const otaConfigs = await db.execute('SELECT * FROM ota_configurations WHERE is_active = TRUE ORDER BY ota_name');
+        const channels = await Promise.all(otaConfigs.map(async (config) => {
+            const { units } = await getARIUnits(config, {
+                startDate: moment(startDate),
+                endDate: moment(endDate).add(1, 'day')
+            });
+            
+            // Rate plans of one room type share its inventory
+            return {
+                config,
+                roomTypes: units.filter((unit, index) => units.findIndex(other => other.ota_room_code === unit.ota_room_code) === index)
+            };
+        }));
+        
         // Generate calendar data
         const calendar = [];
         const current = moment(startDate);
@@ -257,6 +282,7 @@ router.get('/availability-calendar', authenticateToken, requireManager, async (r
         
         while (current.isSameOrBefore(end)) {
             const date = current.format('YYYY-MM-DD');
+            const dayIndex = calendar.length;
             const dayData = {
                 date: date,
                 rooms: rooms.map(room => {
@@ -265,16 +291,38 @@ router.get('/availability-calendar', authenticateToken, requireManager, async (r
                         current.isSameOrAfter(moment(b.check_in_date)) &&
                         current.isBefore(moment(b.check_out_date))
                     );
+                    const roomHold = holds.find(h =>
+                        h.room_id === room.id &&
+                        current.isSameOrAfter(moment(h.start_date)) &&
+                        current.isBefore(moment(h.end_date))
+                    );
                     
                     return {
                         room_id: room.id,
                         room_number: room.room_number,
                         room_name: room.room_name,
                         category_name: room.category_name,
-                        is_available: roomBookings.length === 0,
-                        booking_status: roomBookings.length > 0 ? roomBookings[0].booking_status : null
+                        is_available: roomBookings.length === 0 && !roomHold,
+                        booking_status: roomBookings.length > 0 ? roomBookings[0].booking_status : null,
+                        hold: roomHold ? { feed_name: roomHold.feed_name, summary: roomHold.summary } : null
                     };
-                })
+                }),
+                channels: channels.map(({ config, roomTypes }) => ({
+                    ota_configuration_id: config.id,
+                    ota_name: config.ota_name,
+                    room_types: roomTypes.map(unit => {
+                        const day = unit.dates[dayIndex];
+                        return {
+                            ota_room_code: unit.ota_room_code,
+                            room_name: unit.room_name,
+                            inventory: day.inventory,
+                            is_available: day.is_available,
+                            allotment: day.allotment,
+                            channel_reservations: day.channel_reservations,
+                            stop_sell: day.stop_sell
+                        };
+                    })
+                }))
             };
             
             calendar.push(dayData);
@@ -381,6 +429,33 @@ router.get('/alerts', authenticateToken, requireManager, async (req, res) => {
             });
         }
         
+        // Check for OTA channels that are down or failing
+        const channels = await db.execute(`
+            SELECT id, ota_name, ${CIRCUIT_COLUMNS}
+            FROM ota_configurations
+            WHERE is_active = TRUE
+            AND (circuit_state != 'closed' OR circuit_failures > 0)
+            ORDER BY ota_name
+        `);
+        
+        const unhealthyChannels = channels.map(channel => ({
+            ota_configuration_id: channel.id,
+            ota_name: channel.ota_name,
+            ...getChannelHealth(channel)
+        }));
+        const downChannels = unhealthyChannels.filter(channel => channel.state === 'down');
+        
+        if (unhealthyChannels.length > 0) {
+            alerts.push({
+                type: downChannels.length > 0 ? 'error' : 'warning',
+                category: 'ota',
+                message: `OTA channels need attention: ${downChannels.length} down, ` +
+                    `${unhealthyChannels.length - downChannels.length} degraded`,
+                details: unhealthyChannels,
+                action: 'Check the channel endpoints, then test the connection'
+            });
+        }
+        
         res.json({
             alerts,
             count: alerts.length
@@ -4,6 +4,9 @@ const nodemailer = require('nodemailer');
 const db = require('../config/database');
 const { authenticateToken, requireManager, optionalAuth } = require('../middleware/auth');
 const { validateBooking } = require('../middleware/validation');
+const { getStayQuote } = require('../services/availability');
+const { generateBookingReference, upsertCustomer } = require('../services/bookings');
+const { recordStayChange } = require('../services/ariJournal');
 
 const router = express.Router();
 
@@ -18,13 +21,6 @@ const transporter = nodemailer.createTransporter({
     }
 });
 
-// Helper function to generate booking reference
-const generateBookingReference = () => {
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-    return `BK${timestamp}${random}`;
-};
-
 // Helper function to send booking confirmation email
 const sendBookingEmail = async (booking, type = 'confirmation') => {
     try {
@@ -125,32 +121,22 @@ router.post('/', validateBooking, async (req, res) => {
             return res.status(400).json({ error: 'Room is not available for the selected dates' });
         }
         
+        // Check per-date closures and stay restrictions, and price each night
+        const quote = await getStayQuote(room, check_in_date, check_out_date);
+        
+        if (!quote.is_available) {
+            return res.status(400).json({ error: quote.reason });
+        }
+        
         // Calculate total amount
         const nights = checkOut.diff(checkIn, 'days');
-        const subtotal = room.price_per_night * nights;
+        const subtotal = quote.subtotal;
         const taxRate = 0.10; // 10% tax
         const taxAmount = subtotal * taxRate;
         const totalAmount = subtotal + taxAmount;
         
         // Create or get customer
-        let customerId;
-        const existingCustomers = await db.execute('SELECT id FROM customers WHERE email = ?', [customer.email]);
-        
-        if (existingCustomers.length > 0) {
-            customerId = existingCustomers[0].id;
-            // Update customer information
-            await db.execute(
-                'UPDATE customers SET first_name = ?, last_name = ?, phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [customer.first_name, customer.last_name, customer.phone, customerId]
-            );
-        } else {
-            // Create new customer
-            const customerResult = await db.execute(
-                'INSERT INTO customers (first_name, last_name, email, phone, address, city, country, postal_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                [customer.first_name, customer.last_name, customer.email, customer.phone, customer.address, customer.city, customer.country, customer.postal_code]
-            );
-            customerId = customerResult.insertId;
-        }
+        const customerId = await upsertCustomer(customer);
         
         // Create booking
         const bookingReference = generateBookingReference();
@@ -161,6 +147,9 @@ router.post('/', validateBooking, async (req, res) => {
         
         const bookingId = bookingResult.insertId;
         
+        // Let the channel manager push the nights this booking took
+        await recordStayChange({ room_id, check_in_date, check_out_date }, 'booking');
+        
         // Get complete booking details for email
         const bookingDetails = await db.execute(`
             SELECT b.*, c.first_name, c.last_name, c.email, c.phone,
@@ -299,6 +288,8 @@ router.put('/:reference/cancel', async (req, res) => {
             ['cancelled', reference]
         );
         
+        await recordStayChange(booking, 'booking_cancellation');
+        
         // Prepare booking data for email
         booking.customer = {
             first_name: booking.first_name,
@@ -471,12 +462,19 @@ router.put('/admin/:id/status', authenticateToken, requireManager, async (req, r
             return res.status(400).json({ error: 'Invalid status' });
         }
         
+        const bookings = await db.execute('SELECT room_id, check_in_date, check_out_date FROM bookings WHERE id = ?', [id]);
+        
         // Update booking status
         await db.execute(
             'UPDATE bookings SET booking_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [status, id]
         );
         
+        // The nights may have been freed or taken again
+        if (bookings.length > 0) {
+            await recordStayChange(bookings[0], 'booking_status');
+        }
+        
         res.json({ message: 'Booking status updated successfully' });
         
     } catch (error) {
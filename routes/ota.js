@@ -1,358 +1,1166 @@
 const express = require('express');
-const axios = require('axios');
 const xml2js = require('xml2js');
-const js2xmlparser = require('js2xmlparser');
 const moment = require('moment');
 const db = require('../config/database');
 const { authenticateToken, requireManager } = require('../middleware/auth');
+const { previewOTASync, logSyncOperation, buildLogDetails, DEFAULT_ARI_WINDOW_DAYS } = require('../services/ota/sync');
+const otaScheduler = require('../services/ota/scheduler');
+const { performReservationImport, importReservations } = require('../services/ota/reservations');
+const otaAdapters = require('../services/ota/adapters');
+const otaWebhooks = require('../services/ota/webhooks');
+const { getRetryJob } = require('../services/ota/retries');
+const { createSyncJob, getSyncJob } = require('../services/ota/jobs');
+const { encryptSecret, decryptSecret, decryptConfiguration } = require('../services/ota/credentials');
+const { getMappings, getConfigurationRooms, getUnmappedRooms } = require('../services/ota/mappings');
+const { requestFullARIPush } = require('../services/ariJournal');
+const { RATE_ADJUSTMENT_TYPES, RATE_ROUNDING_MODES } = require('../services/ota/pricing');
+const { EXPORT_SCHEMAS, buildPropertyExport, toExportXml } = require('../services/ota/export');
+const { validatePayload } = require('../services/ota/payloadSchemas');
+const { captureExchanges } = require('../services/ota/utils');
+const { CIRCUIT_COLUMNS, recordCircuitResult, getChannelHealth } = require('../services/ota/circuitBreaker');
+const {
+    generateICalToken,
+    buildExportUrl,
+    isValidICalToken,
+    buildRoomICalendar,
+    importICalFeed,
+    deleteICalFeed
+} = require('../services/ota/ical');
 
 const router = express.Router();
 
-// Helper function to log sync operations
-const logSyncOperation = async (otaConfigId, syncType, status, message, recordsProcessed = 0) => {
+// Longest ARI window a configuration may push
+const MAX_ARI_WINDOW_DAYS = 730;
+
+// 409 body for a configuration another sync is holding (see createSyncJob). A sync job
+// can be followed at its status_url; a scheduled sync is not a job, so only the end of
+// its lock lease (renewed while it runs) is known.
+const buildSyncConflict = ({ job_id, locked_until }) => (job_id
+    ? { error: 'A sync of this configuration is already running', job_id, status_url: `/api/ota/jobs/${job_id}` }
+    : { error: 'A scheduled sync of this configuration is in progress', scheduled: true, locked_until });
+
+const isValidARIWindow = (days) => Number.isInteger(Number(days)) && Number(days) >= 1 && Number(days) <= MAX_ARI_WINDOW_DAYS;
+
+// Check a room mapping (merged with any existing values) before it is saved.
+// Returns an error message, or null when the mapping is valid.
+const validateMapping = async (configId, mapping, mappingId = null) => {
+    const hasRoom = mapping.room_id !== undefined && mapping.room_id !== null;
+    const hasCategory = mapping.category_id !== undefined && mapping.category_id !== null;
+    
+    if (hasRoom === hasCategory) {
+        return 'Provide either room_id or category_id';
+    }
+    
+    for (const field of ['ota_room_code', 'ota_rate_plan_code']) {
+        const value = mapping[field];
+        if (typeof value !== 'string' || value.trim() === '' || value.length > 100) {
+            return `${field} must be a non-empty string of at most 100 characters`;
+        }
+    }
+    
+    const target = hasRoom
+        ? await db.execute('SELECT id, property_id FROM rooms WHERE id = ?', [mapping.room_id])
+        : await db.execute('SELECT id FROM room_categories WHERE id = ?', [mapping.category_id]);
+    if (target.length === 0) {
+        return hasRoom ? 'Room not found' : 'Room category not found';
+    }
+    
+    // A configuration scoped to a property only sells that property's rooms
+    if (hasRoom) {
+        const configs = await db.execute('SELECT property_id FROM ota_configurations WHERE id = ?', [configId]);
+        if (configs[0].property_id !== null && configs[0].property_id !== target[0].property_id) {
+            return 'Room belongs to another property';
+        }
+    }
+    
+    const sameCode = await db.execute(
+        'SELECT * FROM ota_room_mappings WHERE ota_configuration_id = ? AND ota_room_code = ? AND id != ?',
+        [configId, mapping.ota_room_code, mappingId || 0]
+    );
+    
+    // One channel room type stands for one local room or category, whatever the rate plan
+    const otherTarget = sameCode.find(existing => (hasRoom
+        ? existing.room_id !== Number(mapping.room_id)
+        : existing.category_id !== Number(mapping.category_id)));
+    if (otherTarget) {
+        return `Channel room code ${mapping.ota_room_code} is already mapped to another ${otherTarget.room_id ? 'room' : 'category'}`;
+    }
+    
+    if (sameCode.some(existing => existing.ota_rate_plan_code === mapping.ota_rate_plan_code)) {
+        return `Channel room code ${mapping.ota_room_code} with rate plan ${mapping.ota_rate_plan_code} is already mapped`;
+    }
+    
+    return null;
+};
+
+// Check the pricing fields given for a configuration (with its stored rate adjustment
+// type and value, and property, where the request leaves them out).
+// Returns an error message, or null when they are valid.
+const validatePricing = async (pricing) => {
+    if (pricing.rate_adjustment_type !== undefined && !RATE_ADJUSTMENT_TYPES.includes(pricing.rate_adjustment_type)) {
+        return `Rate adjustment type must be one of: ${RATE_ADJUSTMENT_TYPES.join(', ')}`;
+    }
+    
+    if (pricing.rate_adjustment_value !== undefined && !Number.isFinite(Number(pricing.rate_adjustment_value))) {
+        return 'Rate adjustment value must be a number';
+    }
+    
+    // A discount must leave something to charge (a sync fails the room types it prices at 0 or less)
+    const adjustment = Number(pricing.rate_adjustment_value ?? 0);
+    if ((pricing.rate_adjustment_type ?? 'percentage') === 'percentage' && adjustment <= -100) {
+        return 'A percentage rate adjustment must be greater than -100';
+    }
+    if (pricing.rate_adjustment_type === 'fixed' && adjustment < 0) {
+        const rates = (await getConfigurationRooms(pricing)).map(room => parseFloat(room.price_per_night));
+        const lowestRate = rates.length > 0 ? Math.min(...rates) : null;
+        if (lowestRate !== null && adjustment <= -lowestRate) {
+            return `A fixed rate adjustment must be greater than -${lowestRate.toFixed(2)}, the lowest room rate`;
+        }
+    }
+    
+    if (pricing.rate_rounding !== undefined && !RATE_ROUNDING_MODES.includes(pricing.rate_rounding)) {
+        return `Rate rounding must be one of: ${RATE_ROUNDING_MODES.join(', ')}`;
+    }
+    
+    if (pricing.rate_rounding_increment !== undefined && !(Number(pricing.rate_rounding_increment) > 0)) {
+        return 'Rate rounding increment must be greater than 0';
+    }
+    
+    if (pricing.currency_code) {
+        const currencies = await db.execute('SELECT id FROM currencies WHERE code = ? AND is_active = TRUE', [pricing.currency_code]);
+        if (currencies.length === 0) {
+            return `Unknown or inactive currency: ${pricing.currency_code}`;
+        }
+    }
+    
+    return null;
+};
+
+// Check a configuration's channel, hotel ID and property (merged with any existing values).
+// A channel has one configuration per property, told apart by the channel's hotel ID.
+// Returns an error message, or null when they are valid.
+const validateConfigurationScope = async (scope, configId = null) => {
+    if (scope.property_id !== undefined && scope.property_id !== null) {
+        const properties = await db.execute('SELECT id FROM properties WHERE id = ?', [scope.property_id]);
+        if (properties.length === 0) {
+            return 'Property not found';
+        }
+    }
+    
+    const adapter = otaAdapters.getAdapter(scope.ota_name);
+    const hasHotelId = scope.hotel_id !== undefined && scope.hotel_id !== null && String(scope.hotel_id).trim() !== '';
+    if (adapter.requiresHotelId && !hasHotelId) {
+        return `${adapter.label} requires a hotel ID`;
+    }
+    
+    // Catch an ID the channel's messages cannot carry now, rather than on every sync
+    const hotelIdError = hasHotelId && adapter.validateHotelId ? adapter.validateHotelId(String(scope.hotel_id)) : null;
+    if (hotelIdError) {
+        return `${adapter.label} hotel ID ${hotelIdError}`;
+    }
+    
+    const otherConfigs = await db.execute('SELECT id, ota_name, hotel_id FROM ota_configurations WHERE id != ?', [configId || 0]);
+    const duplicate = otherConfigs.find(other => otaAdapters.getAdapter(other.ota_name) === adapter &&
+        String(other.hotel_id ?? '') === String(scope.hotel_id ?? ''));
+    if (duplicate) {
+        return scope.hotel_id
+            ? `${adapter.label} already has a configuration for hotel ID ${scope.hotel_id}`
+            : `${adapter.label} already has a configuration without a hotel ID`;
+    }
+    
+    return null;
+};
+
+// Check an allotment or stop-sell (merged with any existing values) before it is saved.
+// Returns an error message, or null when it is valid.
+const validateChannelControl = async (configId, control, requireDates) => {
+    if (control.ota_room_code !== null && control.ota_room_code !== undefined) {
+        const mappings = await db.execute(
+            'SELECT id FROM ota_room_mappings WHERE ota_configuration_id = ? AND ota_room_code = ?',
+            [configId, control.ota_room_code]
+        );
+        if (mappings.length === 0) {
+            return `Channel room code ${control.ota_room_code} is not mapped for this configuration`;
+        }
+    }
+    
+    for (const field of ['start_date', 'end_date']) {
+        if (control[field] === null || control[field] === undefined) {
+            if (requireDates) {
+                return `${field} is required`;
+            }
+        } else if (!moment(control[field], 'YYYY-MM-DD', true).isValid()) {
+            return `${field} must be a date (YYYY-MM-DD)`;
+        }
+    }
+    
+    if (control.start_date && control.end_date && control.end_date < control.start_date) {
+        return 'End date must be on or after start date';
+    }
+    
+    return null;
+};
+
+// Feed URLs are often shared as webcal://, which is plain HTTPS
+const normalizeFeedUrl = (url) => String(url).trim().replace(/^webcal:\/\//i, 'https://');
+
+// Check an iCal feed before it is saved. Returns an error message, or null when it is valid.
+const validateICalFeed = (feed) => {
+    if (typeof feed.name !== 'string' || feed.name.trim() === '' || feed.name.length > 100) {
+        return 'name must be a non-empty string of at most 100 characters';
+    }
+    
+    let url;
+    try {
+        url = new URL(normalizeFeedUrl(feed.url));
+    } catch (error) {
+        return 'url must be a valid URL';
+    }
+    
+    if (!['http:', 'https:'].includes(url.protocol) || url.href.length > 1024) {
+        return 'url must be an http(s) or webcal URL of at most 1024 characters';
+    }
+    
+    return null;
+};
+
+// Receive pushed reservations and cancellations from an OTA.
+// Public endpoint: requests are authenticated by their HMAC signature instead of a JWT.
+router.post('/webhooks/:ota', express.text({ type: ['application/xml', 'text/xml'], limit: '1mb' }), async (req, res) => {
+    const adapter = otaAdapters.getAdapter(req.params.ota);
+    
+    if (!adapter || !adapter.parseWebhook) {
+        return res.status(404).json({ error: 'Unsupported OTA' });
+    }
+    
+    let payload = null;
+    
+    const sendAcknowledgement = (status, outcomes, errorMessage) => {
+        const ack = adapter.buildWebhookAcknowledgement(outcomes, errorMessage, payload);
+        res.status(status).type(ack.contentType).send(ack.body);
+    };
+    
+    try {
+        try {
+            payload = await adapter.parseWebhook(req.body);
+        } catch (error) {
+            return sendAcknowledgement(400, [], `Malformed payload: ${error.message}`);
+        }
+        
+        // An unknown hotel gets the same 401 as a bad signature, so configured hotel IDs
+        // cannot be probed without a valid secret
+        const config = await otaWebhooks.findWebhookConfiguration(adapter, payload.hotel_id);
+        const secret = config ? decryptSecret(config.webhook_secret) : otaWebhooks.UNKNOWN_CONFIGURATION_SECRET;
+        
+        const rawBody = typeof req.body === 'string' ? req.body : req.rawBody;
+        if (!otaWebhooks.verifySignature(secret, rawBody, req.get(otaWebhooks.SIGNATURE_HEADER)) || !config) {
+            return sendAcknowledgement(401, [], 'Invalid signature');
+        }
+        
+        // Importing is idempotent, so channel retries of the same push are safe
+        const result = await importReservations(config, payload.reservations, 'Webhook');
+        
+        sendAcknowledgement(200, result.outcomes);
+        
+    } catch (error) {
+        console.error('OTA webhook error:', error);
+        sendAcknowledgement(500, [], 'Internal server error');
+    }
+});
+
+// Export a room's booked and closed dates as an iCalendar feed.
+// Public endpoint: the room's feed token (?token=) stands in for a JWT.
+router.get('/ical/:roomId.ics', async (req, res) => {
+    try {
+        const rooms = await db.execute(
+            'SELECT id, room_number, room_name, ical_token FROM rooms WHERE id = ? AND is_active = TRUE',
+            [req.params.roomId]
+        );
+        
+        // The same answer for an unknown room and a wrong token
+        if (rooms.length === 0 || !isValidICalToken(rooms[0].ical_token, req.query.token)) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+        
+        const calendar = await buildRoomICalendar(rooms[0]);
+        
+        res.set('Content-Type', 'text/calendar; charset=utf-8')
+            .set('Cache-Control', 'no-cache')
+            .send(calendar);
+        
+    } catch (error) {
+        console.error('iCal export error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get all OTA configurations with their channel health (secrets are never returned,
+// only whether they are set)
+router.get('/configurations', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { property_id } = req.query;
+        
+        const configurations = await db.execute(`
+            SELECT id, ota_name, api_username, endpoint_url, hotel_id, property_id,
+                   (SELECT p.name FROM properties p WHERE p.id = ota_configurations.property_id) AS property_name,
+                   is_active, last_sync_at, sync_frequency, ari_window_days, rate_adjustment_type, rate_adjustment_value,
+                   rate_rounding, rate_rounding_increment, currency_code, created_at, updated_at,
+                   api_key IS NOT NULL AS has_api_key, api_password IS NOT NULL AS has_api_password,
+                   webhook_secret IS NOT NULL AS has_webhook_secret, ${CIRCUIT_COLUMNS}
+            FROM ota_configurations
+            WHERE (? IS NULL OR property_id = ?)
+            ORDER BY created_at DESC
+        `, [property_id ?? null, property_id ?? null]);
+        
+        res.json({
+            configurations: configurations.map(config => {
+                const { circuit_state, circuit_failures, circuit_changed_at, circuit_last_failure_at, circuit_last_error, ...fields } = config;
+                return { ...fields, health: getChannelHealth(config) };
+            })
+        });
+        
+    } catch (error) {
+        console.error('Get OTA configurations error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the supported channels (one per registered adapter)
+router.get('/adapters', authenticateToken, requireManager, (req, res) => {
+    res.json({ adapters: otaAdapters.listAdapters() });
+});
+
+// Create OTA configuration
+router.post('/configurations', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const {
+            ota_name,
+            api_key,
+            api_username,
+            api_password,
+            endpoint_url,
+            hotel_id,
+            property_id = null,
+            webhook_secret,
+            sync_frequency = 60,
+            ari_window_days = DEFAULT_ARI_WINDOW_DAYS,
+            rate_adjustment_type = 'percentage',
+            rate_adjustment_value = 0,
+            rate_rounding = 'none',
+            rate_rounding_increment = 1,
+            currency_code = null
+        } = req.body;
+        
+        // Validate required fields
+        if (!ota_name || !endpoint_url) {
+            return res.status(400).json({ error: 'OTA name and endpoint URL are required' });
+        }
+        
+        if (!otaAdapters.getAdapter(ota_name)) {
+            return res.status(400).json({
+                error: `Unsupported OTA: ${ota_name}`,
+                supported: otaAdapters.listAdapters().map(adapter => adapter.label)
+            });
+        }
+        
+        if (!Number.isInteger(Number(sync_frequency)) || Number(sync_frequency) < 0) {
+            return res.status(400).json({ error: 'Sync frequency must be a non-negative number of minutes' });
+        }
+        
+        if (!isValidARIWindow(ari_window_days)) {
+            return res.status(400).json({ error: `ARI window must be between 1 and ${MAX_ARI_WINDOW_DAYS} days` });
+        }
+        
+        const pricingError = await validatePricing({ rate_adjustment_type, rate_adjustment_value, rate_rounding, rate_rounding_increment, currency_code, property_id });
+        if (pricingError) {
+            return res.status(400).json({ error: pricingError });
+        }
+        
+        // Check if a configuration already exists for this OTA and hotel ID
+        const scopeError = await validateConfigurationScope({ ota_name, hotel_id, property_id });
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+        
+        // Create configuration (secrets are stored encrypted)
+        const result = await db.execute(
+            'INSERT INTO ota_configurations (ota_name, api_key, api_username, api_password, endpoint_url, hotel_id, property_id, webhook_secret, sync_frequency, ari_window_days, rate_adjustment_type, rate_adjustment_value, rate_rounding, rate_rounding_increment, currency_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [ota_name, encryptSecret(api_key), api_username, encryptSecret(api_password), endpoint_url, hotel_id, property_id, encryptSecret(webhook_secret), sync_frequency, ari_window_days, rate_adjustment_type, rate_adjustment_value, rate_rounding, rate_rounding_increment, currency_code || null]
+        );
+        
+        const configId = result.insertId;
+        
+        // Get the created configuration
+        const createdConfig = await db.execute(
+            'SELECT id, ota_name, api_username, endpoint_url, hotel_id, property_id, is_active, sync_frequency, ari_window_days, rate_adjustment_type, rate_adjustment_value, rate_rounding, rate_rounding_increment, currency_code, api_key IS NOT NULL AS has_api_key, api_password IS NOT NULL AS has_api_password, webhook_secret IS NOT NULL AS has_webhook_secret FROM ota_configurations WHERE id = ?',
+            [configId]
+        );
+        
+        res.status(201).json({
+            message: 'OTA configuration created successfully',
+            configuration: createdConfig[0]
+        });
+        
+    } catch (error) {
+        console.error('Create OTA configuration error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update OTA configuration
+router.put('/configurations/:id', authenticateToken, requireManager, async (req, res) => {
     try {
+        const { id } = req.params;
+        const {
+            ota_name,
+            api_key,
+            api_username,
+            api_password,
+            endpoint_url,
+            hotel_id,
+            property_id,
+            webhook_secret,
+            sync_frequency,
+            ari_window_days,
+            rate_adjustment_type,
+            rate_adjustment_value,
+            rate_rounding,
+            rate_rounding_increment,
+            currency_code,
+            is_active
+        } = req.body;
+        
+        if (ota_name !== undefined && !otaAdapters.getAdapter(ota_name)) {
+            return res.status(400).json({
+                error: `Unsupported OTA: ${ota_name}`,
+                supported: otaAdapters.listAdapters().map(adapter => adapter.label)
+            });
+        }
+        
+        if (sync_frequency !== undefined && (!Number.isInteger(Number(sync_frequency)) || Number(sync_frequency) < 0)) {
+            return res.status(400).json({ error: 'Sync frequency must be a non-negative number of minutes' });
+        }
+        
+        if (ari_window_days !== undefined && !isValidARIWindow(ari_window_days)) {
+            return res.status(400).json({ error: `ARI window must be between 1 and ${MAX_ARI_WINDOW_DAYS} days` });
+        }
+        
+        // Check if configuration exists
+        const existingConfig = await db.execute(
+            'SELECT id, ota_name, hotel_id, property_id, rate_adjustment_type, rate_adjustment_value FROM ota_configurations WHERE id = ?',
+            [id]
+        );
+        if (existingConfig.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        const pricingError = await validatePricing({
+            rate_adjustment_type: rate_adjustment_type !== undefined ? rate_adjustment_type : existingConfig[0].rate_adjustment_type,
+            rate_adjustment_value: rate_adjustment_value !== undefined ? rate_adjustment_value : existingConfig[0].rate_adjustment_value,
+            rate_rounding,
+            rate_rounding_increment,
+            currency_code,
+            property_id: property_id !== undefined ? property_id : existingConfig[0].property_id
+        });
+        if (pricingError) {
+            return res.status(400).json({ error: pricingError });
+        }
+        
+        const scopeError = await validateConfigurationScope({
+            ota_name: ota_name ?? existingConfig[0].ota_name,
+            hotel_id: hotel_id !== undefined ? hotel_id : existingConfig[0].hotel_id,
+            property_id: property_id !== undefined ? property_id : existingConfig[0].property_id
+        }, id);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+        
+        // Update configuration (the scheduler re-reads configurations on every tick).
+        // The channel, window, pricing or activation may have changed, so the next sync is a full push.
+        // Fields left out keep their stored value; secrets left blank do too, since they are
+        // never sent to the client. api_username, endpoint_url and hotel_id can be cleared with
+        // null, a null currency_code switches the channel back to the default currency, and a
+        // null property_id lets it sell every room.
         await db.execute(
-            'INSERT INTO ota_sync_logs (ota_configuration_id, sync_type, status, message, records_processed, sync_completed_at) VALUES (?, ?, ?, ?, ?, NOW())',
-            [otaConfigId, syncType, status, message, recordsProcessed]
+            'UPDATE ota_configurations SET ota_name = COALESCE(?, ota_name), api_key = COALESCE(?, api_key), api_username = IF(?, ?, api_username), api_password = COALESCE(?, api_password), endpoint_url = IF(?, ?, endpoint_url), hotel_id = IF(?, ?, hotel_id), property_id = IF(?, ?, property_id), webhook_secret = COALESCE(?, webhook_secret), sync_frequency = COALESCE(?, sync_frequency), ari_window_days = COALESCE(?, ari_window_days), rate_adjustment_type = COALESCE(?, rate_adjustment_type), rate_adjustment_value = COALESCE(?, rate_adjustment_value), rate_rounding = COALESCE(?, rate_rounding), rate_rounding_increment = COALESCE(?, rate_rounding_increment), currency_code = IF(?, ?, currency_code), is_active = COALESCE(?, is_active), last_pushed_change_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [ota_name ?? null, encryptSecret(api_key), api_username !== undefined, api_username ?? null, encryptSecret(api_password), endpoint_url !== undefined, endpoint_url ?? null, hotel_id !== undefined, hotel_id ?? null, property_id !== undefined, property_id ?? null, encryptSecret(webhook_secret), sync_frequency ?? null, ari_window_days ?? null, rate_adjustment_type ?? null, rate_adjustment_value ?? null, rate_rounding ?? null, rate_rounding_increment ?? null, currency_code !== undefined, currency_code || null, is_active ?? null, id]
         );
+        
+        res.json({ message: 'OTA configuration updated successfully' });
+        
+    } catch (error) {
+        console.error('Update OTA configuration error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete OTA configuration
+router.delete('/configurations/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Check if configuration exists
+        const existingConfig = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (existingConfig.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        // Delete configuration
+        await db.execute('DELETE FROM ota_configurations WHERE id = ?', [id]);
+        
+        res.json({ message: 'OTA configuration deleted successfully' });
+        
+    } catch (error) {
+        console.error('Delete OTA configuration error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get room mappings for an OTA configuration, with the active rooms sync would skip
+router.get('/configurations/:id/mappings', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const configs = await db.execute('SELECT id, property_id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        const mappings = await getMappings(id);
+        const rooms = await getConfigurationRooms(configs[0]);
+        
+        res.json({
+            mappings,
+            unmapped_rooms: getUnmappedRooms(rooms, mappings).map(room => ({
+                id: room.id,
+                room_number: room.room_number,
+                room_name: room.room_name,
+                room_category_id: room.room_category_id
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Get room mappings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Map a local room or room category to a channel room type and rate plan
+router.post('/configurations/:id/mappings', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            room_id = null,
+            category_id = null,
+            ota_room_code,
+            ota_rate_plan_code,
+            is_active = true
+        } = req.body;
+        
+        const configs = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        const mapping = { room_id, category_id, ota_room_code, ota_rate_plan_code };
+        const validationError = await validateMapping(id, mapping);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await db.execute(
+            'INSERT INTO ota_room_mappings (ota_configuration_id, room_id, category_id, ota_room_code, ota_rate_plan_code, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, room_id, category_id, ota_room_code, ota_rate_plan_code, is_active]
+        );
+        
+        // Which rooms feed which channel room type changed, so resend everything
+        await requestFullARIPush([id]);
+        
+        const createdMapping = await db.execute('SELECT * FROM ota_room_mappings WHERE id = ?', [result.insertId]);
+        
+        res.status(201).json({
+            message: 'Room mapping created successfully',
+            mapping: createdMapping[0]
+        });
+        
+    } catch (error) {
+        console.error('Create room mapping error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a room mapping
+router.put('/configurations/:id/mappings/:mappingId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id, mappingId } = req.params;
+        
+        const existingMappings = await db.execute(
+            'SELECT * FROM ota_room_mappings WHERE id = ? AND ota_configuration_id = ?',
+            [mappingId, id]
+        );
+        if (existingMappings.length === 0) {
+            return res.status(404).json({ error: 'Room mapping not found' });
+        }
+        
+        const existing = existingMappings[0];
+        
+        // Switching between a room and a category replaces the other target
+        const target = req.body.room_id !== undefined || req.body.category_id !== undefined
+            ? { room_id: req.body.room_id ?? null, category_id: req.body.category_id ?? null }
+            : { room_id: existing.room_id, category_id: existing.category_id };
+        
+        const mapping = {
+            ...target,
+            ota_room_code: req.body.ota_room_code ?? existing.ota_room_code,
+            ota_rate_plan_code: req.body.ota_rate_plan_code ?? existing.ota_rate_plan_code,
+            is_active: req.body.is_active ?? existing.is_active
+        };
+        
+        const validationError = await validateMapping(id, mapping, existing.id);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        await db.execute(
+            'UPDATE ota_room_mappings SET room_id = ?, category_id = ?, ota_room_code = ?, ota_rate_plan_code = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [mapping.room_id, mapping.category_id, mapping.ota_room_code, mapping.ota_rate_plan_code, mapping.is_active, existing.id]
+        );
+        
+        await requestFullARIPush([id]);
+        
+        res.json({ message: 'Room mapping updated successfully' });
+        
+    } catch (error) {
+        console.error('Update room mapping error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a room mapping
+router.delete('/configurations/:id/mappings/:mappingId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id, mappingId } = req.params;
+        
+        const existingMappings = await db.execute(
+            'SELECT id FROM ota_room_mappings WHERE id = ? AND ota_configuration_id = ?',
+            [mappingId, id]
+        );
+        if (existingMappings.length === 0) {
+            return res.status(404).json({ error: 'Room mapping not found' });
+        }
+        
+        await db.execute('DELETE FROM ota_room_mappings WHERE id = ?', [mappingId]);
+        
+        // A room mapped on its own falls back into its category's room type
+        await requestFullARIPush([id]);
+        
+        res.json({ message: 'Room mapping deleted successfully' });
+        
+    } catch (error) {
+        console.error('Delete room mapping error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a configuration's allotments (most rooms per night the channel may sell, per room type)
+router.get('/configurations/:id/allotments', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const configs = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        const allotments = await db.execute(
+            'SELECT * FROM ota_allotments WHERE ota_configuration_id = ? ORDER BY ota_room_code, start_date',
+            [id]
+        );
+        
+        res.json({ allotments });
+        
+    } catch (error) {
+        console.error('Get allotments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Limit how many rooms of a channel room type the channel may sell per night
+router.post('/configurations/:id/allotments', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { ota_room_code, max_rooms, start_date = null, end_date = null } = req.body;
+        
+        const configs = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        if (!ota_room_code) {
+            return res.status(400).json({ error: 'ota_room_code is required' });
+        }
+        
+        if (!Number.isInteger(Number(max_rooms)) || Number(max_rooms) < 0) {
+            return res.status(400).json({ error: 'max_rooms must be a non-negative number of rooms' });
+        }
+        
+        const validationError = await validateChannelControl(id, { ota_room_code, start_date, end_date }, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await db.execute(
+            'INSERT INTO ota_allotments (ota_configuration_id, ota_room_code, max_rooms, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+            [id, ota_room_code, max_rooms, start_date, end_date]
+        );
+        
+        // Allotments are not journaled per room and date, so resend everything
+        await requestFullARIPush([id]);
+        
+        const createdAllotment = await db.execute('SELECT * FROM ota_allotments WHERE id = ?', [result.insertId]);
+        
+        res.status(201).json({
+            message: 'Allotment created successfully',
+            allotment: createdAllotment[0]
+        });
+        
+    } catch (error) {
+        console.error('Create allotment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update an allotment
+router.put('/configurations/:id/allotments/:allotmentId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id, allotmentId } = req.params;
+        
+        const existingAllotments = await db.execute(
+            'SELECT * FROM ota_allotments WHERE id = ? AND ota_configuration_id = ?',
+            [allotmentId, id]
+        );
+        if (existingAllotments.length === 0) {
+            return res.status(404).json({ error: 'Allotment not found' });
+        }
+        
+        const existing = existingAllotments[0];
+        const allotment = {
+            ota_room_code: req.body.ota_room_code ?? existing.ota_room_code,
+            max_rooms: req.body.max_rooms ?? existing.max_rooms,
+            start_date: req.body.start_date !== undefined ? req.body.start_date : existing.start_date && moment(existing.start_date).format('YYYY-MM-DD'),
+            end_date: req.body.end_date !== undefined ? req.body.end_date : existing.end_date && moment(existing.end_date).format('YYYY-MM-DD')
+        };
+        
+        if (!Number.isInteger(Number(allotment.max_rooms)) || Number(allotment.max_rooms) < 0) {
+            return res.status(400).json({ error: 'max_rooms must be a non-negative number of rooms' });
+        }
+        
+        const validationError = await validateChannelControl(id, allotment, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        await db.execute(
+            'UPDATE ota_allotments SET ota_room_code = ?, max_rooms = ?, start_date = ?, end_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [allotment.ota_room_code, allotment.max_rooms, allotment.start_date, allotment.end_date, existing.id]
+        );
+        
+        await requestFullARIPush([id]);
+        
+        res.json({ message: 'Allotment updated successfully' });
+        
+    } catch (error) {
+        console.error('Update allotment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete an allotment
+router.delete('/configurations/:id/allotments/:allotmentId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id, allotmentId } = req.params;
+        
+        const existingAllotments = await db.execute(
+            'SELECT id FROM ota_allotments WHERE id = ? AND ota_configuration_id = ?',
+            [allotmentId, id]
+        );
+        if (existingAllotments.length === 0) {
+            return res.status(404).json({ error: 'Allotment not found' });
+        }
+        
+        await db.execute('DELETE FROM ota_allotments WHERE id = ?', [allotmentId]);
+        
+        await requestFullARIPush([id]);
+        
+        res.json({ message: 'Allotment deleted successfully' });
+        
+    } catch (error) {
+        console.error('Delete allotment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a configuration's stop-sells (?active=true for current and future ones only)
+router.get('/configurations/:id/stop-sells', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const configs = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        let query = 'SELECT * FROM ota_stop_sells WHERE ota_configuration_id = ?';
+        const params = [id];
+        
+        if (req.query.active === 'true') {
+            query += ' AND end_date >= CURDATE()';
+        }
+        
+        query += ' ORDER BY start_date';
+        
+        const stopSells = await db.execute(query, params);
+        
+        res.json({ stop_sells: stopSells });
+        
+    } catch (error) {
+        console.error('Get stop-sells error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Stop selling on a channel, or one of its room types, for a date range
+router.post('/configurations/:id/stop-sells', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { ota_room_code = null, start_date, end_date, reason = null } = req.body;
+        
+        const configs = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Configuration not found' });
+        }
+        
+        const validationError = await validateChannelControl(id, { ota_room_code, start_date, end_date }, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await db.execute(
+            'INSERT INTO ota_stop_sells (ota_configuration_id, ota_room_code, start_date, end_date, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, ota_room_code, start_date, end_date, reason, req.user.id]
+        );
+        
+        await requestFullARIPush([id]);
+        
+        const createdStopSell = await db.execute('SELECT * FROM ota_stop_sells WHERE id = ?', [result.insertId]);
+        
+        res.status(201).json({
+            message: 'Stop-sell created successfully',
+            stop_sell: createdStopSell[0]
+        });
+        
+    } catch (error) {
+        console.error('Create stop-sell error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Lift a stop-sell
+router.delete('/configurations/:id/stop-sells/:stopSellId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id, stopSellId } = req.params;
+        
+        const existingStopSells = await db.execute(
+            'SELECT id FROM ota_stop_sells WHERE id = ? AND ota_configuration_id = ?',
+            [stopSellId, id]
+        );
+        if (existingStopSells.length === 0) {
+            return res.status(404).json({ error: 'Stop-sell not found' });
+        }
+        
+        await db.execute('DELETE FROM ota_stop_sells WHERE id = ?', [stopSellId]);
+        
+        await requestFullARIPush([id]);
+        
+        res.json({ message: 'Stop-sell deleted successfully' });
+        
+    } catch (error) {
+        console.error('Delete stop-sell error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a room's iCal export URL, its imported feeds and the holds they placed
+router.get('/ical/rooms/:roomId', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        
+        const rooms = await db.execute('SELECT id, ical_token FROM rooms WHERE id = ?', [roomId]);
+        if (rooms.length === 0) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        const feeds = await db.execute('SELECT * FROM room_ical_feeds WHERE room_id = ? ORDER BY name', [roomId]);
+        const holds = await db.execute(
+            'SELECT * FROM room_holds WHERE room_id = ? AND end_date > CURDATE() ORDER BY start_date',
+            [roomId]
+        );
+        
+        res.json({
+            room_id: rooms[0].id,
+            export_url: rooms[0].ical_token ? buildExportUrl(rooms[0].id, rooms[0].ical_token) : null,
+            feeds,
+            holds
+        });
+        
+    } catch (error) {
+        console.error('Get room iCal error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Publish a room's iCal feed, or replace its token (the old URL stops working)
+router.post('/ical/rooms/:roomId/token', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        const token = generateICalToken();
+        
+        const result = await db.execute('UPDATE rooms SET ical_token = ? WHERE id = ?', [token, roomId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        res.json({
+            message: 'iCal export URL generated successfully',
+            export_url: buildExportUrl(roomId, token)
+        });
+        
     } catch (error) {
-        console.error('Failed to log sync operation:', error);
+        console.error('Generate iCal token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Get all OTA configurations
-router.get('/configurations', authenticateToken, requireManager, async (req, res) => {
+// Stop publishing a room's iCal feed
+router.delete('/ical/rooms/:roomId/token', authenticateToken, requireManager, async (req, res) => {
     try {
-        const configurations = await db.execute(`
-            SELECT id, ota_name, api_username, endpoint_url, hotel_id, is_active, 
-                   last_sync_at, sync_frequency, created_at, updated_at
-            FROM ota_configurations
-            ORDER BY created_at DESC
-        `);
+        const result = await db.execute('UPDATE rooms SET ical_token = NULL WHERE id = ?', [req.params.roomId]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
         
-        res.json({ configurations });
+        res.json({ message: 'iCal export disabled successfully' });
         
     } catch (error) {
-        console.error('Get OTA configurations error:', error);
+        console.error('Revoke iCal token error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create OTA configuration
-router.post('/configurations', authenticateToken, requireManager, async (req, res) => {
+// Add an external iCal feed to a room and import it straight away
+router.post('/ical/rooms/:roomId/feeds', authenticateToken, requireManager, async (req, res) => {
     try {
-        const {
-            ota_name,
-            api_key,
-            api_username,
-            api_password,
-            endpoint_url,
-            hotel_id,
-            sync_frequency = 60
-        } = req.body;
+        const { roomId } = req.params;
+        const { name, url, is_active = true } = req.body;
         
-        // Validate required fields
-        if (!ota_name || !endpoint_url) {
-            return res.status(400).json({ error: 'OTA name and endpoint URL are required' });
+        const rooms = await db.execute('SELECT id FROM rooms WHERE id = ?', [roomId]);
+        if (rooms.length === 0) {
+            return res.status(404).json({ error: 'Room not found' });
         }
         
-        // Check if configuration already exists for this OTA
-        const existingConfig = await db.execute(
-            'SELECT id FROM ota_configurations WHERE ota_name = ?',
-            [ota_name]
-        );
-        
-        if (existingConfig.length > 0) {
-            return res.status(400).json({ error: 'Configuration already exists for this OTA' });
+        const validationError = validateICalFeed({ name, url });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
         
-        // Create configuration
         const result = await db.execute(
-            'INSERT INTO ota_configurations (ota_name, api_key, api_username, api_password, endpoint_url, hotel_id, sync_frequency) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [ota_name, api_key, api_username, api_password, endpoint_url, hotel_id, sync_frequency]
+            'INSERT INTO room_ical_feeds (room_id, name, url, is_active) VALUES (?, ?, ?, ?)',
+            [roomId, name.trim(), normalizeFeedUrl(url), Boolean(is_active)]
         );
         
-        const configId = result.insertId;
-        
-        // Get the created configuration
-        const createdConfig = await db.execute(
-            'SELECT id, ota_name, api_username, endpoint_url, hotel_id, is_active, sync_frequency FROM ota_configurations WHERE id = ?',
-            [configId]
-        );
+        const feeds = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [result.insertId]);
+        const importResult = feeds[0].is_active ? await importICalFeed(feeds[0]) : null;
+        const createdFeed = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [result.insertId]);
         
         res.status(201).json({
-            message: 'OTA configuration created successfully',
-            configuration: createdConfig[0]
+            message: 'iCal feed added successfully',
+            feed: createdFeed[0],
+            import: importResult
         });
         
     } catch (error) {
-        console.error('Create OTA configuration error:', error);
+        console.error('Create iCal feed error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update OTA configuration
-router.put('/configurations/:id', authenticateToken, requireManager, async (req, res) => {
+// Update an iCal feed
+router.put('/ical/feeds/:feedId', authenticateToken, requireManager, async (req, res) => {
     try {
-        const { id } = req.params;
-        const {
-            ota_name,
-            api_key,
-            api_username,
-            api_password,
-            endpoint_url,
-            hotel_id,
-            sync_frequency,
-            is_active
-        } = req.body;
+        const { feedId } = req.params;
+        const { name, url, is_active } = req.body;
         
-        // Check if configuration exists
-        const existingConfig = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
-        if (existingConfig.length === 0) {
-            return res.status(404).json({ error: 'Configuration not found' });
+        const feeds = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [feedId]);
+        if (feeds.length === 0) {
+            return res.status(404).json({ error: 'iCal feed not found' });
         }
         
-        // Update configuration
-        await db.execute(
-            'UPDATE ota_configurations SET ota_name = ?, api_key = ?, api_username = ?, api_password = ?, endpoint_url = ?, hotel_id = ?, sync_frequency = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [ota_name, api_key, api_username, api_password, endpoint_url, hotel_id, sync_frequency, is_active, id]
-        );
+        const validationError = validateICalFeed({ name: name ?? feeds[0].name, url: url ?? feeds[0].url });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
         
-        res.json({ message: 'OTA configuration updated successfully' });
+        // A new URL is imported on the next scheduler tick
+        await db.execute(`
+            UPDATE room_ical_feeds
+            SET name = COALESCE(?, name), url = COALESCE(?, url), is_active = COALESCE(?, is_active),
+                last_imported_at = IF(?, NULL, last_imported_at), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            name !== undefined ? name.trim() : null,
+            url !== undefined ? normalizeFeedUrl(url) : null,
+            is_active !== undefined ? Boolean(is_active) : null,
+            url !== undefined && normalizeFeedUrl(url) !== feeds[0].url,
+            feedId
+        ]);
+        
+        const updatedFeeds = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [feedId]);
+        
+        res.json({
+            message: 'iCal feed updated successfully',
+            feed: updatedFeeds[0]
+        });
         
     } catch (error) {
-        console.error('Update OTA configuration error:', error);
+        console.error('Update iCal feed error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete OTA configuration
-router.delete('/configurations/:id', authenticateToken, requireManager, async (req, res) => {
+// Delete an iCal feed, releasing the nights it held
+router.delete('/ical/feeds/:feedId', authenticateToken, requireManager, async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        // Check if configuration exists
-        const existingConfig = await db.execute('SELECT id FROM ota_configurations WHERE id = ?', [id]);
-        if (existingConfig.length === 0) {
-            return res.status(404).json({ error: 'Configuration not found' });
+        const feeds = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [req.params.feedId]);
+        if (feeds.length === 0) {
+            return res.status(404).json({ error: 'iCal feed not found' });
         }
         
-        // Delete configuration
-        await db.execute('DELETE FROM ota_configurations WHERE id = ?', [id]);
+        await deleteICalFeed(feeds[0]);
         
-        res.json({ message: 'OTA configuration deleted successfully' });
+        res.json({ message: 'iCal feed deleted successfully' });
         
     } catch (error) {
-        console.error('Delete OTA configuration error:', error);
+        console.error('Delete iCal feed error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Booking.com ARI sync functions
-const syncBookingComARI = async (config, rooms) => {
+// Import an iCal feed now
+router.post('/ical/feeds/:feedId/import', authenticateToken, requireManager, async (req, res) => {
     try {
-        // Build XML for Booking.com ARI update
-        const ariData = {
-            authentication: {
-                username: config.api_username,
-                password: config.api_password
-            },
-            hotel_id: config.hotel_id,
-            rooms: rooms.map(room => ({
-                room_id: room.id,
-                room_name: room.room_name,
-                rate: room.price_per_night,
-                availability: room.is_available ? 1 : 0,
-                inventory: 1, // Assuming 1 room per room type
-                restrictions: {
-                    min_stay: 1,
-                    max_stay: 30,
-                    closed_to_arrival: 0,
-                    closed_to_departure: 0
-                }
-            }))
-        };
+        const feeds = await db.execute('SELECT * FROM room_ical_feeds WHERE id = ?', [req.params.feedId]);
+        if (feeds.length === 0) {
+            return res.status(404).json({ error: 'iCal feed not found' });
+        }
         
-        const xmlData = js2xmlparser.parse('ari_update', ariData);
+        const result = await importICalFeed(feeds[0]);
         
-        const response = await axios.post(config.endpoint_url, xmlData, {
-            headers: {
-                'Content-Type': 'application/xml',
-                'Authorization': `Basic ${Buffer.from(`${config.api_username}:${config.api_password}`).toString('base64')}`
-            },
-            timeout: 30000
+        res.json({
+            message: result.success ? 'iCal import completed successfully' : 'iCal import failed',
+            success: result.success,
+            details: result.message,
+            added: result.added,
+            updated: result.updated,
+            removed: result.removed,
+            warnings: result.warnings,
+            imported_at: new Date().toISOString()
         });
         
-        return {
-            success: true,
-            message: 'Booking.com ARI sync completed successfully',
-            data: response.data
-        };
-        
     } catch (error) {
-        console.error('Booking.com sync error:', error);
-        return {
-            success: false,
-            message: `Booking.com sync failed: ${error.message}`
-        };
+        console.error('iCal import error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Agoda ARI sync functions
-const syncAgodaARI = async (config, rooms) => {
-    try {
-        // Build JSON for Agoda ARI update
-        const ariData = {
-            HotelId: config.hotel_id,
-            RequestId: `agoda_${Date.now()}`,
-            Rooms: rooms.map(room => ({
-                RoomId: room.id,
-                RoomType: room.room_name,
-                Rates: [{
-                    RatePlan: 'Standard',
-                    Rate: room.price_per_night,
-                    Date: moment().format('YYYY-MM-DD'),
-                    Availability: room.is_available ? 1 : 0,
-                    Inventory: 1
-                }])
-            }))
-        };
-        
-        const response = await axios.post(config.endpoint_url, ariData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.api_key}`,
-                'X-Hotel-Id': config.hotel_id
-            },
-            timeout: 30000
-        });
+// Get the automatic sync schedule (next run per configuration)
+router.get('/schedule', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const schedule = await otaScheduler.getSchedule();
         
-        return {
-            success: true,
-            message: 'Agoda ARI sync completed successfully',
-            data: response.data
-        };
+        res.json({ schedule });
         
     } catch (error) {
-        console.error('Agoda sync error:', error);
-        return {
-            success: false,
-            message: `Agoda sync failed: ${error.message}`
-        };
+        console.error('Get sync schedule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Airbnb ARI sync functions
-const syncAirbnbARI = async (config, rooms) => {
-    try {
-        // Build JSON for Airbnb ARI update
-        const ariData = {
-            listing_id: config.hotel_id,
-            operations: rooms.map(room => ({
-                room_id: room.id.toString(),
-                availability: room.is_available,
-                price: {
-                    amount: room.price_per_night,
-                    currency: 'USD'
-                },
-                date: moment().format('YYYY-MM-DD'),
-                minimum_nights: 1
-            }))
-        };
+// Manual sync trigger (The "Sync" button functionality)
+router.post('/sync/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
         
-        const response = await axios.post(config.endpoint_url, ariData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.api_key}`,
-                'X-Airbnb-API-Version': '1.0'
-            },
-            timeout: 30000
-        });
+        // Get OTA configuration
+        const configs = await db.execute('SELECT * FROM ota_configurations WHERE id = ? AND is_active = TRUE', [id]);
         
-        return {
-            success: true,
-            message: 'Airbnb ARI sync completed successfully',
-            data: response.data
-        };
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'Active OTA configuration not found' });
+        }
+        
+        const config = configs[0];
+        
+        // Sync in the background (only the changes since the last push unless a full resync is asked for)
+        const full = req.body.full === true || req.query.full === 'true';
+        const { jobId, running } = await createSyncJob([config], { full, userId: req.user.id });
+        
+        if (!jobId) {
+            return res.status(409).json(buildSyncConflict(running[0]));
+        }
+        
+        res.status(202).json({
+            message: 'Sync started',
+            job_id: jobId,
+            status_url: `/api/ota/jobs/${jobId}`,
+            ota_name: config.ota_name
+        });
         
     } catch (error) {
-        console.error('Airbnb sync error:', error);
-        return {
-            success: false,
-            message: `Airbnb sync failed: ${error.message}`
-        };
+        console.error('Manual sync error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Main sync function
-const performOTASync = async (config) => {
-    try {
-        // Get all active rooms
-        const rooms = await db.execute(`
-            SELECT r.*, 
-                   CASE WHEN COUNT(b.id) = 0 THEN TRUE ELSE FALSE END as is_available
-            FROM rooms r
-            LEFT JOIN bookings b ON r.id = b.room_id 
-                AND b.booking_status IN ('pending', 'confirmed')
-                AND b.check_in_date <= CURDATE()
-                AND b.check_out_date > CURDATE()
-            WHERE r.is_active = TRUE
-            GROUP BY r.id
-        `);
-        
-        let syncResult;
-        
-        switch (config.ota_name.toLowerCase()) {
-            case 'booking.com':
-            case 'booking_com':
-                syncResult = await syncBookingComARI(config, rooms);
-                break;
-            case 'agoda':
-                syncResult = await syncAgodaARI(config, rooms);
-                break;
-            case 'airbnb':
-                syncResult = await syncAirbnbARI(config, rooms);
-                break;
-            default:
-                throw new Error(`Unsupported OTA: ${config.ota_name}`);
-        }
-        
-        // Log the sync operation
-        await logSyncOperation(
-            config.id,
-            'availability',
-            syncResult.success ? 'success' : 'failed',
-            syncResult.message,
-            rooms.length
-        );
+// Preview what a sync would send (request bodies and headers, secrets masked) without sending it.
+// Works for inactive configurations too, so a channel can be checked before it goes live.
+router.post('/sync/:id/preview', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
         
-        // Update last sync time
-        await db.execute(
-            'UPDATE ota_configurations SET last_sync_at = NOW() WHERE id = ?',
-            [config.id]
-        );
+        const configs = await db.execute('SELECT * FROM ota_configurations WHERE id = ?', [id]);
+        
+        if (configs.length === 0) {
+            return res.status(404).json({ error: 'OTA configuration not found' });
+        }
         
-        return syncResult;
+        const config = configs[0];
         
-    } catch (error) {
-        console.error('OTA sync error:', error);
-        await logSyncOperation(
-            config.id,
-            'availability',
-            'failed',
-            error.message,
-            0
-        );
+        if (!otaAdapters.getAdapter(config.ota_name)) {
+            return res.status(400).json({ error: `Unsupported OTA: ${config.ota_name}` });
+        }
         
-        return {
-            success: false,
-            message: error.message
-        };
+        const full = req.body.full === true || req.query.full === 'true';
+        const preview = await previewOTASync(config, { full });
+        
+        res.json({ preview });
+        
+    } catch (error) {
+        console.error('Sync preview error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Manual sync trigger (The "Sync" button functionality)
-router.post('/sync/:id', authenticateToken, requireManager, async (req, res) => {
+// Import reservations from an OTA (new, modified and cancelled bookings)
+router.post('/reservations/:id/import', authenticateToken, requireManager, async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -365,61 +1173,82 @@ router.post('/sync/:id', authenticateToken, requireManager, async (req, res) =>
         
         const config = configs[0];
         
-        // Perform sync
-        const result = await performOTASync(config);
+        // Perform import
+        const result = await performReservationImport(config);
         
         res.json({
-            message: result.success ? 'Sync completed successfully' : 'Sync failed',
+            message: result.success ? 'Reservation import completed successfully' : 'Reservation import failed',
             success: result.success,
             details: result.message,
+            results: result.results,
             ota_name: config.ota_name,
-            synced_at: new Date().toISOString()
+            imported_at: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Manual sync error:', error);
+        console.error('Reservation import error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Sync all active OTA configurations
+// Sync all active OTA configurations, or those of one property with ?property_id=
 router.post('/sync-all', authenticateToken, requireManager, async (req, res) => {
     try {
+        const propertyId = req.body.property_id ?? req.query.property_id ?? null;
+        
         // Get all active OTA configurations
-        const configs = await db.execute('SELECT * FROM ota_configurations WHERE is_active = TRUE');
+        const configs = await db.execute(
+            'SELECT * FROM ota_configurations WHERE is_active = TRUE AND (? IS NULL OR property_id = ?)',
+            [propertyId, propertyId]
+        );
         
         if (configs.length === 0) {
-            return res.status(400).json({ error: 'No active OTA configurations found' });
+            return res.status(400).json({ error: propertyId === null ? 'No active OTA configurations found' : 'No active OTA configurations found for this property' });
         }
         
-        const syncResults = [];
+        // Sync every OTA in parallel in the background, leaving out those already syncing
+        const full = req.body.full === true || req.query.full === 'true';
+        const { jobId, running } = await createSyncJob(configs, { full, userId: req.user.id });
+        const alreadyRunning = running.map(({ config, ...lock }) => ({
+            ota_configuration_id: config.id,
+            ota_name: config.ota_name,
+            ...buildSyncConflict(lock)
+        }));
+        
+        if (!jobId) {
+            return res.status(409).json({
+                error: 'Every active OTA configuration is already being synced',
+                already_running: alreadyRunning
+            });
+        }
         
-        // Sync each OTA in parallel
-        const syncPromises = configs.map(async (config) => {
-            const result = await performOTASync(config);
-            return {
-                ota_name: config.ota_name,
-                success: result.success,
-                message: result.message
-            };
+        res.status(202).json({
+            message: 'Sync started',
+            job_id: jobId,
+            status_url: `/api/ota/jobs/${jobId}`,
+            total_otas: configs.length - running.length,
+            already_running: alreadyRunning
         });
         
-        const results = await Promise.all(syncPromises);
+    } catch (error) {
+        console.error('Sync all error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a sync job's per-channel progress and outcome
+router.get('/jobs/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const job = await getSyncJob(req.params.id);
         
-        const successCount = results.filter(r => r.success).length;
-        const failureCount = results.filter(r => !r.success).length;
+        if (!job) {
+            return res.status(404).json({ error: 'Sync job not found' });
+        }
         
-        res.json({
-            message: `Sync completed: ${successCount} successful, ${failureCount} failed`,
-            total_otas: configs.length,
-            successful_syncs: successCount,
-            failed_syncs: failureCount,
-            results: results,
-            synced_at: new Date().toISOString()
-        });
+        res.json({ job });
         
     } catch (error) {
-        console.error('Sync all error:', error);
+        console.error('Get sync job error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -430,7 +1259,10 @@ router.get('/sync-logs', authenticateToken, requireManager, async (req, res) =>
         const { ota_id, limit = 50, page = 1 } = req.query;
         
         let query = `
-            SELECT sl.*, oc.ota_name
+            SELECT sl.id, sl.ota_configuration_id, sl.sync_type, sl.status, sl.message,
+                   sl.sync_started_at, sl.sync_completed_at, sl.records_processed,
+                   sl.http_status, sl.duration_ms, sl.exchanges IS NOT NULL AS has_payload,
+                   oc.ota_name
             FROM ota_sync_logs sl
             JOIN ota_configurations oc ON sl.ota_configuration_id = oc.id
             WHERE 1=1
@@ -460,6 +1292,138 @@ router.get('/sync-logs', authenticateToken, requireManager, async (req, res) =>
     }
 });
 
+// Get a sync log with the requests sent and responses received
+router.get('/sync-logs/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const logs = await db.execute(`
+            SELECT sl.*, oc.ota_name
+            FROM ota_sync_logs sl
+            JOIN ota_configurations oc ON sl.ota_configuration_id = oc.id
+            WHERE sl.id = ?
+        `, [req.params.id]);
+        
+        if (logs.length === 0) {
+            return res.status(404).json({ error: 'Sync log not found' });
+        }
+        
+        const log = logs[0];
+        
+        res.json({
+            log: {
+                ...log,
+                exchanges: log.exchanges ? JSON.parse(log.exchanges) : null
+            }
+        });
+        
+    } catch (error) {
+        console.error('Get sync log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get failed pushes awaiting a retry (status=pending) or dead-lettered (status=dead)
+router.get('/retry-jobs', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { status, ota_id } = req.query;
+        
+        if (status !== undefined && !['pending', 'dead'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be pending or dead' });
+        }
+        
+        let query = `
+            SELECT j.*, oc.ota_name, oc.hotel_id
+            FROM ota_retry_jobs j
+            JOIN ota_configurations oc ON j.ota_configuration_id = oc.id
+            WHERE 1=1
+        `;
+        
+        const params = [];
+        
+        if (status) {
+            query += ' AND j.status = ?';
+            params.push(status);
+        }
+        
+        if (ota_id) {
+            query += ' AND j.ota_configuration_id = ?';
+            params.push(ota_id);
+        }
+        
+        query += ' ORDER BY j.updated_at DESC';
+        
+        const jobs = await db.execute(query, params);
+        
+        res.json({ jobs });
+        
+    } catch (error) {
+        console.error('Get retry jobs error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replay a failed push now, as a background sync job (the configuration's current ARI is pushed)
+router.post('/retry-jobs/:id/replay', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const job = await getRetryJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Retry job not found' });
+        }
+        
+        const configs = await db.execute('SELECT * FROM ota_configurations WHERE id = ? AND is_active = TRUE', [job.ota_configuration_id]);
+        
+        if (configs.length === 0) {
+            return res.status(400).json({ error: 'OTA configuration for this job is not active' });
+        }
+        
+        const config = configs[0];
+        
+        // A dead job is done with once the push goes through, or once its failure opened a new job
+        const onResult = async (syncedConfig, result) => {
+            if (job.status === 'dead' && (result.success || result.retry_job)) {
+                await db.execute('DELETE FROM ota_retry_jobs WHERE id = ?', [job.id]);
+            }
+        };
+        
+        const { jobId, running } = await createSyncJob([config], { userId: req.user.id, onResult });
+        
+        if (!jobId) {
+            return res.status(409).json(buildSyncConflict(running[0]));
+        }
+        
+        res.status(202).json({
+            message: 'Replay started',
+            job_id: jobId,
+            status_url: `/api/ota/jobs/${jobId}`,
+            retry_job_id: job.id,
+            ota_name: config.ota_name
+        });
+        
+    } catch (error) {
+        console.error('Replay retry job error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Discard a failed push without retrying it
+router.delete('/retry-jobs/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const job = await getRetryJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Retry job not found' });
+        }
+        
+        await db.execute('DELETE FROM ota_retry_jobs WHERE id = ?', [job.id]);
+        
+        res.json({ message: 'Retry job discarded successfully' });
+        
+    } catch (error) {
+        console.error('Discard retry job error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Test OTA connection
 router.post('/test-connection/:id', authenticateToken, requireManager, async (req, res) => {
     try {
@@ -474,65 +1438,39 @@ router.post('/test-connection/:id', authenticateToken, requireManager, async (re
         
         const config = configs[0];
         
-        // Test connection based on OTA type
+        // Test connection through the channel's adapter
+        const adapter = otaAdapters.getAdapter(config.ota_name);
         let testResult;
         
-        try {
-            switch (config.ota_name.toLowerCase()) {
-                case 'booking.com':
-                case 'booking_com':
-                    // Test Booking.com connection
-                    const bookingTestResponse = await axios.post(config.endpoint_url, 
-                        js2xmlparser.parse('test_connection', {
-                            authentication: {
-                                username: config.api_username,
-                                password: config.api_password
-                            },
-                            hotel_id: config.hotel_id
-                        }), {
-                        headers: {
-                            'Content-Type': 'application/xml',
-                            'Authorization': `Basic ${Buffer.from(`${config.api_username}:${config.api_password}`).toString('base64')}`
-                        },
-                        timeout: 15000
-                    });
-                    testResult = { success: true, message: 'Booking.com connection successful' };
-                    break;
-                    
-                case 'agoda':
-                    // Test Agoda connection
-                    const agodaTestResponse = await axios.post(config.endpoint_url, 
-                        { HotelId: config.hotel_id, RequestId: `test_${Date.now()}` }, {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${config.api_key}`
-                        },
-                        timeout: 15000
-                    });
-                    testResult = { success: true, message: 'Agoda connection successful' };
-                    break;
-                    
-                case 'airbnb':
-                    // Test Airbnb connection
-                    const airbnbTestResponse = await axios.get(`${config.endpoint_url}/test`, {
-                        headers: {
-                            'Authorization': `Bearer ${config.api_key}`,
-                            'X-Airbnb-API-Version': '1.0'
-                        },
-                        timeout: 15000
-                    });
-                    testResult = { success: true, message: 'Airbnb connection successful' };
-                    break;
-                    
-                default:
-                    testResult = { success: false, message: `Unsupported OTA: ${config.ota_name}` };
+        if (!adapter) {
+            testResult = { success: false, message: `Unsupported OTA: ${config.ota_name}` };
+        } else {
+            // The test is never turned away by an open circuit, and its outcome counts like a sync's
+            const startedAt = Date.now();
+            const exchanges = [];
+            let channelConfig = null;
+            try {
+                channelConfig = decryptConfiguration(config);
+                await captureExchanges(exchanges, () => adapter.testConnection(channelConfig));
+                await recordCircuitResult(config.id);
+                testResult = { success: true, message: `${adapter.label} connection successful` };
+            } catch (error) {
+                await recordCircuitResult(config.id, error);
+                testResult = { 
+                    success: false, 
+                    message: `Connection failed: ${error.message}` 
+                };
             }
             
-        } catch (error) {
-            testResult = { 
-                success: false, 
-                message: `Connection failed: ${error.message}` 
-            };
+            // Logged with what was sent and received, like a sync
+            await logSyncOperation(
+                config.id,
+                'connection',
+                testResult.success ? 'success' : 'failed',
+                testResult.message,
+                0,
+                buildLogDetails(exchanges, channelConfig, startedAt)
+            );
         }
         
         res.json({
@@ -551,7 +1489,7 @@ router.post('/test-connection/:id', authenticateToken, requireManager, async (re
 // Get sync statistics
 router.get('/sync-stats', authenticateToken, requireManager, async (req, res) => {
     try {
-        const { period = 'week' } = req.query;
+        const { period = 'week', property_id } = req.query;
         
         let dateCondition = '';
         if (period === 'week') {
@@ -562,21 +1500,27 @@ router.get('/sync-stats', authenticateToken, requireManager, async (req, res) =>
             dateCondition = 'AND sl.sync_started_at >= DATE_SUB(NOW(), INTERVAL 1 YEAR)';
         }
         
-        // Get sync statistics
+        // Get sync statistics per configuration, so each property's channels are counted apart
         const syncStats = await db.execute(`
             SELECT 
+                oc.id as ota_configuration_id,
                 oc.ota_name,
+                oc.hotel_id,
+                oc.property_id,
+                p.name as property_name,
                 COUNT(sl.id) as total_syncs,
                 SUM(CASE WHEN sl.status = 'success' THEN 1 ELSE 0 END) as successful_syncs,
                 SUM(CASE WHEN sl.status = 'failed' THEN 1 ELSE 0 END) as failed_syncs,
                 MAX(sl.sync_started_at) as last_sync_at,
                 SUM(sl.records_processed) as total_records_processed
             FROM ota_configurations oc
+            LEFT JOIN properties p ON oc.property_id = p.id
             LEFT JOIN ota_sync_logs sl ON oc.id = sl.ota_configuration_id
             WHERE oc.is_active = TRUE ${dateCondition}
-            GROUP BY oc.id, oc.ota_name
-            ORDER BY oc.ota_name
-        `);
+            AND (? IS NULL OR oc.property_id = ?)
+            GROUP BY oc.id, oc.ota_name, oc.hotel_id, oc.property_id, p.name
+            ORDER BY p.name, oc.ota_name
+        `, [property_id ?? null, property_id ?? null]);
         
         res.json({
             period,
@@ -589,10 +1533,36 @@ router.get('/sync-stats', authenticateToken, requireManager, async (req, res) =>
     }
 });
 
-// Export XML for OTA compliance (as requested)
+// Export the configuration's property content for OTA compliance, as XML or with
+// ?format=json as JSON. start_date and/or end_date (inclusive) add per-day rates and availability.
 router.get('/export-xml/:id', authenticateToken, requireManager, async (req, res) => {
     try {
         const { id } = req.params;
+        const { format = 'xml', start_date, end_date } = req.query;
+        
+        if (!['xml', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be xml or json' });
+        }
+        
+        let range = null;
+        if (start_date !== undefined || end_date !== undefined) {
+            const startDate = start_date !== undefined ? moment(start_date, 'YYYY-MM-DD', true) : moment().startOf('day');
+            const endDate = end_date !== undefined ? moment(end_date, 'YYYY-MM-DD', true) : startDate.clone().add(30, 'days');
+            
+            if (!startDate.isValid() || !endDate.isValid()) {
+                return res.status(400).json({ error: 'start_date and end_date must be dates (YYYY-MM-DD)' });
+            }
+            
+            if (endDate.isBefore(startDate)) {
+                return res.status(400).json({ error: 'End date must be on or after start date' });
+            }
+            
+            if (endDate.diff(startDate, 'days') >= MAX_ARI_WINDOW_DAYS) {
+                return res.status(400).json({ error: `Date range can cover at most ${MAX_ARI_WINDOW_DAYS} days` });
+            }
+            
+            range = { startDate, endDate: endDate.clone().add(1, 'day') };
+        }
         
         // Get OTA configuration
         const configs = await db.execute('SELECT * FROM ota_configurations WHERE id = ?', [id]);
@@ -602,55 +1572,32 @@ router.get('/export-xml/:id', authenticateToken, requireManager, async (req, res
         }
         
         const config = configs[0];
-        
-        // Get all rooms with current availability
-        const rooms = await db.execute(`
-            SELECT r.*, rc.name as category_name,
-                   CASE WHEN COUNT(b.id) = 0 THEN TRUE ELSE FALSE END as is_available
-            FROM rooms r
-            LEFT JOIN room_categories rc ON r.room_category_id = rc.id
-            LEFT JOIN bookings b ON r.id = b.room_id 
-                AND b.booking_status IN ('pending', 'confirmed')
-                AND b.check_in_date <= CURDATE()
-                AND b.check_out_date > CURDATE()
-            WHERE r.is_active = TRUE
-            GROUP BY r.id
-        `);
-        
-        // Build XML structure for OTA compliance
-        const xmlData = {
-            '@': {
-                'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
-                'version': '1.0'
-            },
-            hotel: {
-                '@': { id: config.hotel_id },
-                name: 'Grand Hotel',
-                rooms: {
-                    room: rooms.map(room => ({
-                        '@': { id: room.id },
-                        name: room.room_name,
-                        category: room.category_name,
-                        capacity: room.max_occupancy,
-                        rate: room.price_per_night,
-                        availability: room.is_available ? 'available' : 'unavailable',
-                        description: room.description,
-                        amenities: {
-                            // This would need to be populated from room_amenities
-                        }
-                    }))
-                }
-            }
-        };
-        
-        const xmlString = js2xmlparser.parse('ota_export', xmlData);
+        const exportData = await buildPropertyExport(config, range);
+        const document = format === 'json' ? exportData : toExportXml(exportData);
+        
+        // Never hand out a document the channel would reject
+        const validationErrors = await validatePayload(EXPORT_SCHEMAS[format], document);
+        if (validationErrors.length > 0) {
+            await logSyncOperation(
+                config.id,
+                'export',
+                'failed',
+                `Property export (${format}) does not match its schema: ${validationErrors.join('; ')}`,
+                exportData.rooms.length
+            );
+            return res.status(500).json({ error: 'Property export does not match its schema', details: validationErrors });
+        }
         
         res.set({
-            'Content-Type': 'application/xml',
-            'Content-Disposition': `attachment; filename="ota_export_${config.ota_name}_${moment().format('YYYY-MM-DD')}.xml"`
+            'Content-Disposition': `attachment; filename="ota_export_${config.ota_name}_${moment().format('YYYY-MM-DD')}.${format}"`
         });
         
-        res.send(xmlString);
+        if (format === 'json') {
+            return res.json(document);
+        }
+        
+        res.set({ 'Content-Type': 'application/xml' });
+        res.send(document);
         
     } catch (error) {
         console.error('Export XML error:', error);
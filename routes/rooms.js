@@ -2,15 +2,22 @@ const express = require('express');
 const moment = require('moment');
 const db = require('../config/database');
 const { authenticateToken, requireManager, optionalAuth } = require('../middleware/auth');
-const { validateRoom, validateSearch } = require('../middleware/validation');
+const { validateRoom, validateSearch, validateCalendarUpdate, validateBulkCalendarUpdate } = require('../middleware/validation');
 const { upload, handleUploadError, deleteUploadedFile, getFileUrl } = require('../middleware/upload');
+const { getStayQuotes, buildRoomCalendar, applyCalendarUpdates } = require('../services/availability');
+const { recordRoomChange, requestFullARIPush } = require('../services/ariJournal');
 
 const router = express.Router();
 
+const propertyExists = async (propertyId) => {
+    const properties = await db.execute('SELECT id FROM properties WHERE id = ?', [propertyId]);
+    return properties.length > 0;
+};
+
 // Get all rooms (public endpoint with optional auth)
 router.get('/', optionalAuth, async (req, res) => {
     try {
-        const { category_id, is_active = true } = req.query;
+        const { category_id, property_id, is_active = true } = req.query;
         
         let query = `
             SELECT r.*, rc.name as category_name, rc.description as category_description,
@@ -28,6 +35,11 @@ router.get('/', optionalAuth, async (req, res) => {
             params.push(category_id);
         }
         
+        if (property_id) {
+            query += ' AND r.property_id = ?';
+            params.push(property_id);
+        }
+        
         if (is_active !== undefined) {
             query += ' AND r.is_active = ?';
             params.push(is_active === 'true');
@@ -122,6 +134,7 @@ router.post('/', authenticateToken, requireManager, validateRoom, async (req, re
             room_size,
             bed_type,
             cancellation_policy,
+            property_id = null,
             amenities = []
         } = req.body;
         
@@ -135,11 +148,15 @@ router.post('/', authenticateToken, requireManager, validateRoom, async (req, re
             return res.status(400).json({ error: 'Room number already exists' });
         }
         
+        if (property_id !== null && !await propertyExists(property_id)) {
+            return res.status(400).json({ error: 'Property not found' });
+        }
+        
         // Insert room
         const result = await db.execute(`
-            INSERT INTO rooms (room_number, room_name, description, room_category_id, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [room_number, room_name, description, room_category_id, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy]);
+            INSERT INTO rooms (room_number, room_name, description, room_category_id, property_id, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [room_number, room_name, description, room_category_id, property_id, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy]);
         
         const roomId = result.insertId;
         
@@ -153,6 +170,9 @@ router.post('/', authenticateToken, requireManager, validateRoom, async (req, re
             );
         }
         
+        // A room in a mapped category adds to the channel's inventory
+        await recordRoomChange([roomId], 'room');
+        
         // Get the created room
         const createdRoom = await db.execute(`
             SELECT r.*, rc.name as category_name
@@ -186,11 +206,12 @@ router.put('/:id', authenticateToken, requireManager, validateRoom, async (req,
             room_size,
             bed_type,
             cancellation_policy,
+            property_id,
             amenities = []
         } = req.body;
         
         // Check if room exists
-        const existingRoom = await db.execute('SELECT id FROM rooms WHERE id = ?', [id]);
+        const existingRoom = await db.execute('SELECT id, room_category_id, property_id FROM rooms WHERE id = ?', [id]);
         if (existingRoom.length === 0) {
             return res.status(404).json({ error: 'Room not found' });
         }
@@ -205,14 +226,18 @@ router.put('/:id', authenticateToken, requireManager, validateRoom, async (req,
             return res.status(400).json({ error: 'Room number already exists' });
         }
         
-        // Update room
+        if (property_id !== undefined && property_id !== null && !await propertyExists(property_id)) {
+            return res.status(400).json({ error: 'Property not found' });
+        }
+        
+        // Update room (property_id is kept when left out, and a null moves the room out of its property)
         await db.execute(`
             UPDATE rooms 
             SET room_number = ?, room_name = ?, description = ?, room_category_id = ?, 
-                price_per_night = ?, max_occupancy = ?, room_size = ?, bed_type = ?, 
+                property_id = IF(?, ?, property_id), price_per_night = ?, max_occupancy = ?, room_size = ?, bed_type = ?, 
                 cancellation_policy = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
-        `, [room_number, room_name, description, room_category_id, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy, id]);
+        `, [room_number, room_name, description, room_category_id, property_id !== undefined, property_id ?? null, price_per_night, max_occupancy, room_size, bed_type, cancellation_policy, id]);
         
         // Update amenities
         await db.execute('DELETE FROM room_amenities WHERE room_id = ?', [id]);
@@ -226,6 +251,27 @@ router.put('/:id', authenticateToken, requireManager, validateRoom, async (req,
             );
         }
         
+        // Rates and category may have changed for every date
+        await recordRoomChange([id], 'room');
+        
+        // The journal only follows the room into its new category; the old one is resent in full
+        if (existingRoom[0].room_category_id !== null && String(existingRoom[0].room_category_id) !== String(room_category_id)) {
+            const mappedConfigs = await db.execute(
+                'SELECT DISTINCT ota_configuration_id FROM ota_room_mappings WHERE category_id = ?',
+                [existingRoom[0].room_category_id]
+            );
+            await requestFullARIPush(mappedConfigs.map(config => config.ota_configuration_id));
+        }
+        
+        // Channels of the room's old property no longer sell it, so they are resent in full too
+        if (property_id !== undefined && existingRoom[0].property_id !== null && String(existingRoom[0].property_id) !== String(property_id)) {
+            const propertyConfigs = await db.execute(
+                'SELECT id FROM ota_configurations WHERE property_id = ?',
+                [existingRoom[0].property_id]
+            );
+            await requestFullARIPush(propertyConfigs.map(config => config.id));
+        }
+        
         // Get the updated room
         const updatedRoom = await db.execute(`
             SELECT r.*, rc.name as category_name
@@ -271,9 +317,19 @@ router.delete('/:id', authenticateToken, requireManager, async (req, res) => {
         // Get room images to delete files
         const images = await db.execute('SELECT image_path FROM room_images WHERE room_id = ?', [id]);
         
+        // Channels mapping the room or its category need their inventory resent
+        const mappedConfigs = await db.execute(`
+            SELECT DISTINCT m.ota_configuration_id
+            FROM ota_room_mappings m
+            JOIN rooms r ON r.id = ?
+            WHERE m.room_id = r.id OR m.category_id = r.room_category_id
+        `, [id]);
+        
         // Delete room (this will cascade delete images and amenities due to foreign key constraints)
         await db.execute('DELETE FROM rooms WHERE id = ?', [id]);
         
+        await requestFullARIPush(mappedConfigs.map(config => config.ota_configuration_id));
+        
         // Delete image files
         images.forEach(img => {
             const filePath = `uploads/rooms/${img.image_path}`;
@@ -402,6 +458,119 @@ router.put('/:id/images/:imageId/primary', authenticateToken, requireManager, as
     }
 });
 
+// Get availability and rate calendar for a room (Admin/Manager only)
+router.get('/:id/calendar', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start_date, end_date } = req.query;
+        
+        const startDate = moment(start_date || moment().format('YYYY-MM-DD'));
+        const endDate = moment(end_date || moment(startDate).add(30, 'days').format('YYYY-MM-DD'));
+        
+        if (!startDate.isValid() || !endDate.isValid()) {
+            return res.status(400).json({ error: 'Invalid date format' });
+        }
+        
+        if (endDate.isBefore(startDate)) {
+            return res.status(400).json({ error: 'End date must be on or after start date' });
+        }
+        
+        if (endDate.diff(startDate, 'days') > 730) {
+            return res.status(400).json({ error: 'Calendar range can cover at most 730 days' });
+        }
+        
+        const rooms = await db.execute('SELECT id, room_number, room_name, price_per_night FROM rooms WHERE id = ?', [id]);
+        if (rooms.length === 0) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        const room = rooms[0];
+        const calendar = await buildRoomCalendar([room], startDate, endDate.clone().add(1, 'day'));
+        
+        res.json({
+            room,
+            start_date: startDate.format('YYYY-MM-DD'),
+            end_date: endDate.format('YYYY-MM-DD'),
+            calendar: calendar.get(room.id)
+        });
+        
+    } catch (error) {
+        console.error('Get room calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update availability and rate calendar for a room (Admin/Manager only)
+router.put('/:id/calendar', authenticateToken, requireManager, validateCalendarUpdate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { updates } = req.body;
+        
+        // Check if room exists
+        const existingRoom = await db.execute('SELECT id FROM rooms WHERE id = ?', [id]);
+        if (existingRoom.length === 0) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        
+        const result = await applyCalendarUpdates([existingRoom[0].id], updates);
+        
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: result.errors
+            });
+        }
+        
+        res.json({
+            message: 'Room calendar updated successfully',
+            updated_dates: result.updated
+        });
+        
+    } catch (error) {
+        console.error('Update room calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Bulk update availability and rate calendar for many rooms (Admin/Manager only)
+router.put('/calendar/bulk', authenticateToken, requireManager, validateBulkCalendarUpdate, async (req, res) => {
+    try {
+        const { updates } = req.body;
+        const roomIds = [...new Set(req.body.room_ids.map(Number))];
+        
+        // Check that every room exists
+        const placeholders = roomIds.map(() => '?').join(', ');
+        const existingRooms = await db.execute(`SELECT id FROM rooms WHERE id IN (${placeholders})`, roomIds);
+        
+        if (existingRooms.length !== roomIds.length) {
+            const foundIds = existingRooms.map(room => room.id);
+            return res.status(404).json({
+                error: 'Room not found',
+                details: roomIds.filter(roomId => !foundIds.includes(roomId))
+            });
+        }
+        
+        const result = await applyCalendarUpdates(roomIds, updates);
+        
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: result.errors
+            });
+        }
+        
+        res.json({
+            message: 'Room calendars updated successfully',
+            rooms_updated: roomIds.length,
+            updated_dates: result.updated
+        });
+        
+    } catch (error) {
+        console.error('Bulk update room calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Search available rooms
 router.post('/search', validateSearch, async (req, res) => {
     try {
@@ -453,12 +622,16 @@ router.post('/search', validateSearch, async (req, res) => {
         
         query += ' ORDER BY r.price_per_night ASC';
         
-        const availableRooms = await db.execute(query, params);
+        const candidateRooms = await db.execute(query, params);
         
-        // Calculate total price for each room
+        // Apply per-date closures, stay restrictions and price overrides
         const nights = checkOut.diff(checkIn, 'days');
+        const quotes = await getStayQuotes(candidateRooms, check_in_date, check_out_date);
+        const availableRooms = candidateRooms.filter(room => quotes.get(room.id).is_available);
         
         for (let room of availableRooms) {
+            const quote = quotes.get(room.id);
+            
             // Get amenities
             const amenities = await db.execute(`
                 SELECT a.* FROM amenities a
@@ -467,7 +640,8 @@ router.post('/search', validateSearch, async (req, res) => {
             `, [room.id]);
             
             room.amenities = amenities;
-            room.total_price = (room.price_per_night * nights).toFixed(2);
+            room.total_price = quote.subtotal.toFixed(2);
+            room.nightly_rates = quote.nightly_rates;
             room.nights = nights;
             
             // Format image URL
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticateToken, requireManager } = require('../middleware/auth');
+const { requestFullARIPush } = require('../services/ariJournal');
 
 const router = express.Router();
 
@@ -243,6 +244,12 @@ router.post('/currencies', authenticateToken, requireManager, async (req, res) =
             [code, name, symbol, exchange_rate, is_default]
         );
         
+        // A new default currency changes what every channel is sent
+        if (is_default) {
+            const otaConfigs = await db.execute('SELECT id FROM ota_configurations');
+            await requestFullARIPush(otaConfigs.map(config => config.id));
+        }
+        
         res.status(201).json({
             message: 'Currency created successfully',
             currency: {
@@ -285,6 +292,13 @@ router.put('/currencies/:id', authenticateToken, requireManager, async (req, res
             [code, name, symbol, exchange_rate, is_default, is_active, id]
         );
         
+        // Channels priced in a converted currency resend their rates; a new default currency
+        // changes what every channel is sent
+        const otaConfigs = is_default || existingCurrency[0].is_default
+            ? await db.execute('SELECT id FROM ota_configurations')
+            : await db.execute('SELECT id FROM ota_configurations WHERE currency_code IN (?, ?)', [existingCurrency[0].code, code]);
+        await requestFullARIPush(otaConfigs.map(config => config.id));
+        
         res.json({ message: 'Currency updated successfully' });
         
     } catch (error) {
@@ -437,6 +451,112 @@ router.delete('/languages/:id', authenticateToken, requireManager, async (req, r
     }
 });
 
+// Get all properties (the hotels of a group), with how many rooms and channels each has
+router.get('/properties', async (req, res) => {
+    try {
+        const properties = await db.execute(`
+            SELECT p.*,
+                   (SELECT COUNT(*) FROM rooms WHERE property_id = p.id) as room_count,
+                   (SELECT COUNT(*) FROM ota_configurations WHERE property_id = p.id) as ota_configuration_count
+            FROM properties p
+            ORDER BY p.name
+        `);
+        res.json({ properties });
+        
+    } catch (error) {
+        console.error('Get properties error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create property
+router.post('/properties', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { name } = req.body;
+        
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+            return res.status(400).json({ error: 'Property name is required and must be max 100 characters' });
+        }
+        
+        const result = await db.execute('INSERT INTO properties (name) VALUES (?)', [name.trim()]);
+        
+        res.status(201).json({
+            message: 'Property created successfully',
+            property: {
+                id: result.insertId,
+                name: name.trim()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Create property error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update property
+router.put('/properties/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name } = req.body;
+        
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+            return res.status(400).json({ error: 'Property name is required and must be max 100 characters' });
+        }
+        
+        // Check if property exists
+        const existingProperty = await db.execute('SELECT id FROM properties WHERE id = ?', [id]);
+        
+        if (existingProperty.length === 0) {
+            return res.status(404).json({ error: 'Property not found' });
+        }
+        
+        await db.execute(
+            'UPDATE properties SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name.trim(), id]
+        );
+        
+        res.json({ message: 'Property updated successfully' });
+        
+    } catch (error) {
+        console.error('Update property error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete property
+router.delete('/properties/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Check if property exists
+        const existingProperty = await db.execute('SELECT id FROM properties WHERE id = ?', [id]);
+        
+        if (existingProperty.length === 0) {
+            return res.status(404).json({ error: 'Property not found' });
+        }
+        
+        // Rooms and channels left without a property would be sold by every unscoped channel
+        const inUse = await db.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM rooms WHERE property_id = ?) as room_count,
+                (SELECT COUNT(*) FROM ota_configurations WHERE property_id = ?) as ota_configuration_count
+        `, [id, id]);
+        
+        if (inUse[0].room_count > 0 || inUse[0].ota_configuration_count > 0) {
+            return res.status(400).json({ error: 'Cannot delete a property that still has rooms or OTA configurations' });
+        }
+        
+        await db.execute('DELETE FROM properties WHERE id = ?', [id]);
+        
+        res.json({ message: 'Property deleted successfully' });
+        
+    } catch (error) {
+        console.error('Delete property error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get hotel information
 router.get('/hotel-info', async (req, res) => {
     try {
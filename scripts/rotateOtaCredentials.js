@@ -0,0 +1,36 @@
+// Re-encrypt every stored OTA secret with the current OTA_CREDENTIALS_KEY.
+// Run after rotating the key (with the previous key in OTA_CREDENTIALS_OLD_KEYS),
+// and once after upgrading to encrypt secrets saved in plain text.
+//
+//   npm run rotate:ota-credentials
+const db = require('../config/database');
+const { SECRET_FIELDS, encryptSecret, decryptSecret, needsRotation } = require('../services/ota/credentials');
+
+const rotateCredentials = async () => {
+    const configs = await db.execute(`SELECT id, ota_name, ${SECRET_FIELDS.join(', ')} FROM ota_configurations ORDER BY id`);
+    let rotated = 0;
+
+    for (const config of configs) {
+        const fields = SECRET_FIELDS.filter(field => needsRotation(config[field]));
+        if (fields.length === 0) {
+            continue;
+        }
+
+        await db.execute(
+            `UPDATE ota_configurations SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => encryptSecret(decryptSecret(config[field]))), config.id]
+        );
+        console.log(`🔑 ${config.ota_name} (#${config.id}): re-encrypted ${fields.join(', ')}`);
+        rotated++;
+    }
+
+    console.log(`✅ ${rotated} of ${configs.length} OTA configuration(s) re-encrypted`);
+};
+
+rotateCredentials()
+    .then(() => db.pool.end())
+    .catch(async (error) => {
+        console.error('❌ OTA credentials rotation failed:', error.message);
+        await db.pool.end();
+        process.exit(1);
+    });
@@ -19,6 +19,9 @@ const reportsRoutes = require('./routes/reports');
 // Import database
 const db = require('./config/database');
 
+// Import background services
+const otaScheduler = require('./services/ota/scheduler');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -45,7 +48,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body of OTA webhooks for signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/ota/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Create uploads directory if it doesn't exist
@@ -129,6 +140,11 @@ app.listen(PORT, () => {
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
     console.log(`🔗 Backend URL: ${process.env.BACKEND_URL}`);
     console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+    
+    // Start automatic OTA sync unless explicitly disabled
+    if (process.env.OTA_SCHEDULER_ENABLED !== 'false') {
+        otaScheduler.start();
+    }
 });
 
 module.exports = app;
\ No newline at end of file
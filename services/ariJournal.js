@@ -0,0 +1,116 @@
+const moment = require('moment');
+const db = require('../config/database');
+
+// Room-level edits (rates, category) affect every date a channel may be sent;
+// this covers the longest ARI window a configuration can push
+const ROOM_CHANGE_HORIZON_DAYS = 730;
+
+// Changes are journaled inside booking and calendar transactions, and a row's id is handed
+// out when it is inserted, not when its transaction commits: a change can become visible
+// after one with a higher id. Syncs send every visible change but only move their
+// watermark past changes at least this old, so a late commit is sent on the next sync
+// rather than skipped.
+// The age is taken from created_at, which is the insert time, not the commit time. A
+// transaction that commits more than this long after journaling a change can still have
+// it skipped, until the next full push; keep the setting above the longest transaction
+// that writes bookings or the calendar.
+const ARI_CHANGE_SETTLE_SECONDS = parseInt(process.env.OTA_ARI_CHANGE_SETTLE_SECONDS) || 60;
+
+// Build the insert that marks room dates as dirty for the channel manager.
+// Returned as { query, params } so it can run inside db.transaction().
+const buildARIChangeQuery = (roomIds, startDate, endDate, source) => {
+    const start = moment(startDate).format('YYYY-MM-DD');
+    const end = moment(endDate).format('YYYY-MM-DD');
+    const placeholders = roomIds.map(() => '(?, ?, ?, ?)').join(', ');
+
+    return {
+        query: `INSERT INTO ari_change_journal (room_id, start_date, end_date, source) VALUES ${placeholders}`,
+        params: roomIds.flatMap(roomId => [roomId, start, end, source])
+    };
+};
+
+// Mark room dates (inclusive range) as changed so they are pushed on the next sync
+const recordARIChange = async (roomIds, startDate, endDate, source) => {
+    if (roomIds.length === 0) {
+        return;
+    }
+
+    try {
+        const { query, params } = buildARIChangeQuery(roomIds, startDate, endDate, source);
+        await db.execute(query, params);
+    } catch (error) {
+        console.error('Failed to record ARI change:', error);
+    }
+};
+
+// Mark a booking's nights (check-in up to the night before check-out) as changed
+const recordStayChange = (booking, source) => recordARIChange(
+    [booking.room_id],
+    booking.check_in_date,
+    moment(booking.check_out_date).subtract(1, 'day'),
+    source
+);
+
+// Mark every future date of the rooms as changed
+const recordRoomChange = (roomIds, source) => {
+    const startDate = moment().startOf('day');
+    return recordARIChange(roomIds, startDate, startDate.clone().add(ROOM_CHANGE_HORIZON_DAYS, 'days'), source);
+};
+
+// Make the next sync of the configurations a full push, for changes the journal
+// cannot express per room and date (mapping edits, deleted rooms)
+const requestFullARIPush = async (configIds) => {
+    if (configIds.length === 0) {
+        return;
+    }
+
+    try {
+        await db.execute(
+            `UPDATE ota_configurations SET last_pushed_change_id = NULL WHERE id IN (${configIds.map(() => '?').join(', ')})`,
+            configIds
+        );
+    } catch (error) {
+        console.error('Failed to request full ARI push:', error);
+    }
+};
+
+// Get the changes recorded after `afterId` up to and including `upToId`
+const getARIChanges = (afterId, upToId) => db.execute(
+    'SELECT room_id, start_date, end_date FROM ari_change_journal WHERE id > ? AND id <= ? ORDER BY id',
+    [afterId, upToId]
+);
+
+// Current journal position: { latestId } of the latest visible change, to read changes up
+// to, and { settledId } of the latest change old enough to push the watermark past
+// (see ARI_CHANGE_SETTLE_SECONDS). Both are 0 when there is no such change.
+const getARIJournalPosition = async () => {
+    const rows = await db.execute(`
+        SELECT MAX(id) AS latest_id,
+               MAX(CASE WHEN created_at <= NOW() - INTERVAL ? SECOND THEN id END) AS settled_id
+        FROM ari_change_journal
+    `, [ARI_CHANGE_SETTLE_SECONDS]);
+    return { latestId: rows[0].latest_id || 0, settledId: rows[0].settled_id || 0 };
+};
+
+// Drop changes every active configuration has already pushed
+const purgePushedARIChanges = async () => {
+    try {
+        await db.execute(`
+            DELETE FROM ari_change_journal
+            WHERE id <= (SELECT MIN(last_pushed_change_id) FROM ota_configurations WHERE is_active = TRUE)
+        `);
+    } catch (error) {
+        console.error('Failed to purge ARI change journal:', error);
+    }
+};
+
+module.exports = {
+    buildARIChangeQuery,
+    recordARIChange,
+    recordStayChange,
+    recordRoomChange,
+    requestFullARIPush,
+    getARIChanges,
+    getARIJournalPosition,
+    purgePushedARIChanges
+};
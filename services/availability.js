@@ -0,0 +1,321 @@
+const moment = require('moment');
+const db = require('../config/database');
+const { buildARIChangeQuery } = require('./ariJournal');
+
+// Restrictions used when a date has no room_availability row (matches schema defaults).
+// There is no maximum stay unless an override sets one.
+const DEFAULT_MIN_STAY = 1;
+const DEFAULT_MAX_STAY = null;
+
+// Booking statuses that hold a room
+const BLOCKING_STATUSES = ['pending', 'confirmed'];
+
+const formatDate = (date) => moment(date).format('YYYY-MM-DD');
+
+// Build a per-date calendar of availability, rate and restrictions for each room.
+// Holds imported from iCal feeds (room_holds) take a room like a booking does.
+// The range is [startDate, endDate), i.e. endDate behaves like a check-out date.
+// Returns a Map of room id => array of day entries.
+const buildRoomCalendar = async (rooms, startDate, endDate) => {
+    const calendar = new Map();
+
+    if (rooms.length === 0) {
+        return calendar;
+    }
+
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
+    const roomIds = rooms.map(room => room.id);
+    const roomPlaceholders = roomIds.map(() => '?').join(', ');
+    const statusPlaceholders = BLOCKING_STATUSES.map(() => '?').join(', ');
+
+    // Bookings overlapping the range
+    const bookings = await db.execute(`
+        SELECT room_id, check_in_date, check_out_date
+        FROM bookings
+        WHERE room_id IN (${roomPlaceholders})
+        AND booking_status IN (${statusPlaceholders})
+        AND NOT (check_out_date <= ? OR check_in_date >= ?)
+    `, [...roomIds, ...BLOCKING_STATUSES, start, end]);
+
+    // Holds overlapping the range
+    const holds = await db.execute(`
+        SELECT room_id, start_date, end_date
+        FROM room_holds
+        WHERE room_id IN (${roomPlaceholders})
+        AND NOT (end_date <= ? OR start_date >= ?)
+    `, [...roomIds, start, end]);
+
+    // Per-date overrides within the range
+    const overrides = await db.execute(`
+        SELECT room_id, date, is_available, price_override, min_stay, max_stay,
+               closed_to_arrival, closed_to_departure
+        FROM room_availability
+        WHERE room_id IN (${roomPlaceholders})
+        AND date >= ? AND date < ?
+    `, [...roomIds, start, end]);
+
+    const overridesByKey = new Map();
+    overrides.forEach(override => {
+        overridesByKey.set(`${override.room_id}|${formatDate(override.date)}`, override);
+    });
+
+    const bookingsByRoom = new Map();
+    bookings.forEach(booking => {
+        if (!bookingsByRoom.has(booking.room_id)) {
+            bookingsByRoom.set(booking.room_id, []);
+        }
+        bookingsByRoom.get(booking.room_id).push({
+            check_in_date: formatDate(booking.check_in_date),
+            check_out_date: formatDate(booking.check_out_date)
+        });
+    });
+
+    const holdsByRoom = new Map();
+    holds.forEach(hold => {
+        if (!holdsByRoom.has(hold.room_id)) {
+            holdsByRoom.set(hold.room_id, []);
+        }
+        holdsByRoom.get(hold.room_id).push({
+            start_date: formatDate(hold.start_date),
+            end_date: formatDate(hold.end_date)
+        });
+    });
+
+    rooms.forEach(room => {
+        const roomBookings = bookingsByRoom.get(room.id) || [];
+        const roomHolds = holdsByRoom.get(room.id) || [];
+        const days = [];
+        const current = moment(start);
+
+        while (current.isBefore(end)) {
+            const date = current.format('YYYY-MM-DD');
+            const override = overridesByKey.get(`${room.id}|${date}`);
+            const isBooked = roomBookings.some(b => date >= b.check_in_date && date < b.check_out_date);
+            const isHeld = roomHolds.some(h => date >= h.start_date && date < h.end_date);
+            const isClosed = override ? !override.is_available : false;
+            const isAvailable = !isBooked && !isHeld && !isClosed;
+
+            days.push({
+                date,
+                is_available: isAvailable,
+                is_booked: isBooked,
+                is_held: isHeld,
+                is_closed: isClosed,
+                inventory: isAvailable ? 1 : 0,
+                rate: parseFloat(override && override.price_override !== null ? override.price_override : room.price_per_night),
+                min_stay: override && override.min_stay !== null ? override.min_stay : DEFAULT_MIN_STAY,
+                max_stay: override ? override.max_stay : DEFAULT_MAX_STAY,
+                closed_to_arrival: override ? Boolean(override.closed_to_arrival) : false,
+                closed_to_departure: override ? Boolean(override.closed_to_departure) : false,
+                has_override: Boolean(override)
+            });
+
+            current.add(1, 'day');
+        }
+
+        calendar.set(room.id, days);
+    });
+
+    return calendar;
+};
+
+// Check a stay against the per-date calendar and price it night by night.
+// The calendar includes the departure date as its last entry; stay length
+// restrictions are taken from the arrival date, as channels apply them.
+const quoteStayFromCalendar = (calendarDays) => {
+    const days = calendarDays.slice(0, -1);
+    const departure = calendarDays[calendarDays.length - 1];
+    const nights = days.length;
+    const subtotal = days.reduce((total, day) => total + day.rate, 0);
+    const arrival = days[0];
+    let reason = null;
+
+    if (days.some(day => day.is_booked || day.is_held)) {
+        reason = 'Room is not available for the selected dates';
+    } else if (days.some(day => day.is_closed)) {
+        reason = 'Room is closed for one or more of the selected dates';
+    } else if (arrival.closed_to_arrival) {
+        reason = 'Arrival is not permitted on the selected check-in date';
+    } else if (departure.closed_to_departure) {
+        reason = 'Departure is not permitted on the selected check-out date';
+    } else if (nights < arrival.min_stay) {
+        reason = `Minimum stay for the selected arrival date is ${arrival.min_stay} nights`;
+    } else if (arrival.max_stay !== null && nights > arrival.max_stay) {
+        reason = `Maximum stay for the selected arrival date is ${arrival.max_stay} nights`;
+    }
+
+    return {
+        is_available: reason === null,
+        reason,
+        nights,
+        subtotal,
+        nightly_rates: days.map(day => ({ date: day.date, rate: day.rate }))
+    };
+};
+
+// Quote a stay for each room. Returns a Map of room id => quote.
+const getStayQuotes = async (rooms, checkInDate, checkOutDate) => {
+    const calendarEnd = moment(checkOutDate).add(1, 'day');
+    const calendar = await buildRoomCalendar(rooms, checkInDate, calendarEnd);
+    const quotes = new Map();
+
+    calendar.forEach((days, roomId) => {
+        quotes.set(roomId, quoteStayFromCalendar(days));
+    });
+
+    return quotes;
+};
+
+// Quote a stay for a single room
+const getStayQuote = async (room, checkInDate, checkOutDate) => {
+    const quotes = await getStayQuotes([room], checkInDate, checkOutDate);
+    return quotes.get(room.id);
+};
+
+// Fields a calendar update may set on room_availability
+const CALENDAR_FIELDS = ['is_available', 'price_override', 'min_stay', 'max_stay', 'closed_to_arrival', 'closed_to_departure'];
+
+// Number of room_availability rows written per statement
+const CALENDAR_BATCH_SIZE = 500;
+
+// Expand a calendar update into the dates it covers (inclusive range, optional weekday filter)
+const expandUpdateDates = (update) => {
+    const dates = [];
+    const current = moment(update.start_date);
+    const end = moment(update.end_date);
+    const daysOfWeek = Array.isArray(update.days_of_week) && update.days_of_week.length > 0
+        ? update.days_of_week.map(Number)
+        : null;
+
+    while (current.isSameOrBefore(end, 'day')) {
+        if (!daysOfWeek || daysOfWeek.includes(current.day())) {
+            dates.push(current.format('YYYY-MM-DD'));
+        }
+        current.add(1, 'day');
+    }
+
+    return dates;
+};
+
+// Apply calendar updates to a set of rooms. Each update sets any of CALENDAR_FIELDS
+// over a date range; fields it leaves out keep their current value. Later updates
+// win over earlier ones for the same date. Nothing is written if the merged result
+// would break a restriction (e.g. min_stay above max_stay).
+const applyCalendarUpdates = async (roomIds, updates, source = 'calendar') => {
+    const expanded = updates.map(update => ({ update, dates: expandUpdateDates(update) }));
+    const allDates = expanded.flatMap(item => item.dates).sort();
+
+    if (allDates.length === 0) {
+        return { errors: [], updated: 0 };
+    }
+
+    // Current overrides for every affected room in the overall range
+    const roomPlaceholders = roomIds.map(() => '?').join(', ');
+    const existingRows = await db.execute(`
+        SELECT room_id, date, is_available, price_override, min_stay, max_stay,
+               closed_to_arrival, closed_to_departure
+        FROM room_availability
+        WHERE room_id IN (${roomPlaceholders})
+        AND date BETWEEN ? AND ?
+    `, [...roomIds, allDates[0], allDates[allDates.length - 1]]);
+
+    const rows = new Map();
+    existingRows.forEach(row => {
+        rows.set(`${row.room_id}|${formatDate(row.date)}`, { ...row, date: formatDate(row.date), changed: false });
+    });
+
+    expanded.forEach(({ update, dates }) => {
+        roomIds.forEach(roomId => {
+            dates.forEach(date => {
+                const key = `${roomId}|${date}`;
+                const row = rows.get(key) || {
+                    room_id: roomId,
+                    date,
+                    is_available: true,
+                    price_override: null,
+                    min_stay: DEFAULT_MIN_STAY,
+                    max_stay: DEFAULT_MAX_STAY,
+                    closed_to_arrival: false,
+                    closed_to_departure: false
+                };
+
+                CALENDAR_FIELDS.forEach(field => {
+                    if (update[field] !== undefined) {
+                        row[field] = update[field];
+                    }
+                });
+
+                row.changed = true;
+                rows.set(key, row);
+            });
+        });
+    });
+
+    const changedRows = [...rows.values()].filter(row => row.changed);
+
+    const errors = changedRows
+        .filter(row => row.min_stay !== null && row.max_stay !== null && Number(row.min_stay) > Number(row.max_stay))
+        .map(row => ({
+            room_id: row.room_id,
+            date: row.date,
+            msg: `Minimum stay (${row.min_stay}) cannot exceed maximum stay (${row.max_stay})`
+        }));
+
+    if (errors.length > 0) {
+        return { errors, updated: 0 };
+    }
+
+    const queries = [];
+
+    for (let i = 0; i < changedRows.length; i += CALENDAR_BATCH_SIZE) {
+        const batch = changedRows.slice(i, i + CALENDAR_BATCH_SIZE);
+        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+
+        queries.push({
+            query: `
+                INSERT INTO room_availability (room_id, date, is_available, price_override, min_stay, max_stay, closed_to_arrival, closed_to_departure)
+                VALUES ${placeholders}
+                ON DUPLICATE KEY UPDATE
+                    is_available = VALUES(is_available),
+                    price_override = VALUES(price_override),
+                    min_stay = VALUES(min_stay),
+                    max_stay = VALUES(max_stay),
+                    closed_to_arrival = VALUES(closed_to_arrival),
+                    closed_to_departure = VALUES(closed_to_departure),
+                    updated_at = CURRENT_TIMESTAMP
+            `,
+            params: batch.flatMap(row => [
+                row.room_id,
+                row.date,
+                Boolean(row.is_available),
+                row.price_override,
+                row.min_stay,
+                row.max_stay,
+                Boolean(row.closed_to_arrival),
+                Boolean(row.closed_to_departure)
+            ])
+        });
+    }
+
+    // Mark the changed ranges dirty for the channel manager
+    expanded.forEach(({ update, dates }) => {
+        if (dates.length > 0) {
+            queries.push(buildARIChangeQuery(roomIds, dates[0], dates[dates.length - 1], source));
+        }
+    });
+
+    await db.transaction(queries);
+
+    return { errors: [], updated: changedRows.length };
+};
+
+module.exports = {
+    DEFAULT_MIN_STAY,
+    DEFAULT_MAX_STAY,
+    BLOCKING_STATUSES,
+    buildRoomCalendar,
+    applyCalendarUpdates,
+    getStayQuotes,
+    getStayQuote
+};
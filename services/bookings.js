@@ -0,0 +1,45 @@
+const db = require('../config/database');
+
+// Helper function to generate booking reference
+const generateBookingReference = () => {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    return `BK${timestamp}${random}`;
+};
+
+// Find the customer by email and refresh their details, or create a new one.
+// Returns the customer ID.
+const upsertCustomer = async (customer) => {
+    const existingCustomers = await db.execute('SELECT id FROM customers WHERE email = ?', [customer.email]);
+
+    if (existingCustomers.length > 0) {
+        const customerId = existingCustomers[0].id;
+        // Update customer information
+        await db.execute(
+            'UPDATE customers SET first_name = ?, last_name = ?, phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [customer.first_name, customer.last_name, customer.phone ?? null, customerId]
+        );
+        return customerId;
+    }
+
+    // Create new customer
+    const customerResult = await db.execute(
+        'INSERT INTO customers (first_name, last_name, email, phone, address, city, country, postal_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+            customer.first_name,
+            customer.last_name,
+            customer.email,
+            customer.phone ?? null,
+            customer.address ?? null,
+            customer.city ?? null,
+            customer.country ?? null,
+            customer.postal_code ?? null
+        ]
+    );
+    return customerResult.insertId;
+};
+
+module.exports = {
+    generateBookingReference,
+    upsertCustomer
+};
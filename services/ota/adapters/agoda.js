@@ -0,0 +1,123 @@
+const moment = require('moment');
+const { buildUrl, withQuery, sendRequest, toArray, normalizeStatus } = require('../utils');
+const { schemaFile } = require('../payloadSchemas');
+
+// Convert an Agoda booking object to the common reservation shape
+const parseBooking = (booking) => {
+    const guest = booking.Guest || {};
+    return {
+        ota_reservation_id: booking.BookingId,
+        status: normalizeStatus(booking.Status),
+        ota_room_code: booking.RoomId,
+        ota_rate_plan_code: booking.RatePlan,
+        check_in_date: booking.CheckIn,
+        check_out_date: booking.CheckOut,
+        adults: parseInt(booking.Adults) || 1,
+        children: parseInt(booking.Children) || 0,
+        total_amount: booking.TotalAmount,
+        special_requests: booking.SpecialRequest,
+        customer: {
+            first_name: guest.FirstName,
+            last_name: guest.LastName,
+            email: guest.Email,
+            phone: guest.Phone
+        }
+    };
+};
+
+const buildPushRequest = (config, payload) => ({
+    method: 'POST',
+    url: config.endpoint_url,
+    headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.api_key}`,
+        'X-Hotel-Id': config.hotel_id
+    },
+    body: payload
+});
+
+module.exports = {
+    name: 'agoda',
+    label: 'Agoda',
+    aliases: [],
+    bookingSource: 'agoda',
+    requiresHotelId: true,
+    validateHotelId: (hotelId) => (hotelId.length > 100 ? 'must be at most 100 characters' : null),
+    payloadSchema: { type: 'json', file: schemaFile('agoda_ari.json') },
+
+    buildAriPayload: (config, units) => ({
+        HotelId: config.hotel_id,
+        RequestId: `agoda_${Date.now()}`,
+        Rooms: units.map(unit => ({
+            RoomId: unit.ota_room_code,
+            RoomType: unit.room_name,
+            Rates: unit.dates.map(day => ({
+                RatePlan: unit.ota_rate_plan_code,
+                Rate: day.rate,
+                Date: day.date,
+                Availability: day.is_available ? 1 : 0,
+                Inventory: day.inventory,
+                MinStay: day.min_stay,
+                MaxStay: day.max_stay,
+                ClosedToArrival: day.closed_to_arrival,
+                ClosedToDeparture: day.closed_to_departure
+            }))
+        }))
+    }),
+
+    buildPushRequests: (config, payload) => [buildPushRequest(config, payload)],
+
+    push: async (config, payload) => {
+        const response = await sendRequest(buildPushRequest(config, payload));
+        return { data: response.data };
+    },
+
+    testConnection: async (config) => {
+        await sendRequest({
+            method: 'POST',
+            url: config.endpoint_url,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.api_key}`
+            },
+            body: { HotelId: config.hotel_id, RequestId: `test_${Date.now()}` }
+        }, 15000);
+    },
+
+    fetchReservations: async (config, since) => {
+        const response = await sendRequest({
+            method: 'GET',
+            url: withQuery(buildUrl(config.endpoint_url, 'bookings'), {
+                hotel_id: config.hotel_id,
+                modified_since: since ? moment(since).toISOString() : undefined
+            }),
+            headers: {
+                'Authorization': `Bearer ${config.api_key}`,
+                'X-Hotel-Id': config.hotel_id
+            }
+        });
+
+        return toArray(response.data && response.data.Bookings).map(parseBooking);
+    },
+
+    parseWebhook: async (body) => ({
+        hotel_id: body.HotelId,
+        reservations: toArray(body.Bookings || body.Booking).map(parseBooking)
+    }),
+
+    buildWebhookAcknowledgement: (outcomes, errorMessage) => {
+        const failed = outcomes.filter(outcome => outcome.action === 'failed');
+        return {
+            contentType: 'application/json',
+            body: JSON.stringify({
+                Success: !errorMessage && failed.length === 0,
+                Error: errorMessage || undefined,
+                Results: outcomes.map(outcome => ({
+                    BookingId: outcome.ota_reservation_id,
+                    Status: outcome.action === 'failed' ? 'Rejected' : 'Accepted',
+                    Message: outcome.error
+                }))
+            })
+        };
+    }
+};
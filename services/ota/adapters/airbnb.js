@@ -0,0 +1,125 @@
+const moment = require('moment');
+const { buildUrl, withQuery, sendRequest, toArray, normalizeStatus } = require('../utils');
+const { schemaFile } = require('../payloadSchemas');
+
+// Convert an Airbnb reservation object to the common reservation shape
+const parseReservation = (reservation) => {
+    const guest = reservation.guest || {};
+    const guestDetails = reservation.guest_details || {};
+    return {
+        ota_reservation_id: reservation.confirmation_code,
+        status: normalizeStatus(reservation.status),
+        ota_room_code: reservation.room_id,
+        check_in_date: reservation.start_date,
+        check_out_date: reservation.end_date,
+        adults: parseInt(guestDetails.number_of_adults) || 1,
+        children: parseInt(guestDetails.number_of_children) || 0,
+        total_amount: reservation.expected_payout_amount,
+        special_requests: reservation.guest_message,
+        customer: {
+            first_name: guest.first_name,
+            last_name: guest.last_name,
+            email: guest.email,
+            phone: guest.phone
+        }
+    };
+};
+
+const buildPushRequest = (config, payload) => ({
+    method: 'POST',
+    url: config.endpoint_url,
+    headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.api_key}`,
+        'X-Airbnb-API-Version': '1.0'
+    },
+    body: payload
+});
+
+module.exports = {
+    name: 'airbnb',
+    label: 'Airbnb',
+    aliases: [],
+    bookingSource: 'airbnb',
+    requiresHotelId: true,
+    // The hotel ID is the listing ID
+    validateHotelId: (hotelId) => (hotelId.length > 100 ? 'must be at most 100 characters' : null),
+    payloadSchema: { type: 'json', file: schemaFile('airbnb_ari.json') },
+
+    buildAriPayload: (config, units, context) => ({
+        listing_id: config.hotel_id,
+        operations: units.flatMap(unit => unit.dates.map(day => ({
+            room_id: unit.ota_room_code,
+            availability: day.is_available,
+            price: {
+                amount: day.rate,
+                currency: context.currencyCode
+            },
+            date: day.date,
+            minimum_nights: day.min_stay,
+            maximum_nights: day.max_stay,
+            closed_to_arrival: day.closed_to_arrival,
+            closed_to_departure: day.closed_to_departure
+        })))
+    }),
+
+    buildPushRequests: (config, payload) => [buildPushRequest(config, payload)],
+
+    push: async (config, payload) => {
+        const response = await sendRequest(buildPushRequest(config, payload));
+        return { data: response.data };
+    },
+
+    testConnection: async (config) => {
+        await sendRequest({
+            method: 'GET',
+            url: buildUrl(config.endpoint_url, 'test'),
+            headers: {
+                'Authorization': `Bearer ${config.api_key}`,
+                'X-Airbnb-API-Version': '1.0'
+            }
+        }, 15000);
+    },
+
+    fetchReservations: async (config, since) => {
+        const response = await sendRequest({
+            method: 'GET',
+            url: withQuery(buildUrl(config.endpoint_url, 'reservations'), {
+                listing_id: config.hotel_id,
+                updated_since: since ? moment(since).toISOString() : undefined
+            }),
+            headers: {
+                'Authorization': `Bearer ${config.api_key}`,
+                'X-Airbnb-API-Version': '1.0'
+            }
+        });
+
+        return toArray(response.data && response.data.reservations).map(parseReservation);
+    },
+
+    parseWebhook: async (body) => {
+        if (!body.reservation) {
+            return { hotel_id: body.listing_id, reservations: [] };
+        }
+        // Airbnb sends the event type next to the reservation itself
+        const reservation = parseReservation(body.reservation);
+        if (body.action) {
+            reservation.status = normalizeStatus(body.action);
+        }
+        return {
+            hotel_id: body.listing_id || body.reservation.listing_id,
+            reservations: [reservation]
+        };
+    },
+
+    buildWebhookAcknowledgement: (outcomes, errorMessage) => {
+        const failed = outcomes.filter(outcome => outcome.action === 'failed');
+        return {
+            contentType: 'application/json',
+            body: JSON.stringify({
+                succeed: !errorMessage && failed.length === 0,
+                failure_reason: errorMessage || (failed.length > 0 ? failed.map(f => f.error).join('; ') : undefined)
+            })
+        };
+    }
+};
@@ -0,0 +1,140 @@
+const xml2js = require('xml2js');
+const js2xmlparser = require('js2xmlparser');
+const moment = require('moment');
+const opentravel = require('../opentravel');
+const { buildUrl, basicAuth, sendRequest, toArray, normalizeStatus } = require('../utils');
+const { schemaFile } = require('../payloadSchemas');
+
+// Convert a Booking.com <reservation> element to the common reservation shape
+const parseReservation = (reservation) => {
+    const customer = reservation.customer || {};
+    return {
+        ota_reservation_id: reservation.id,
+        status: normalizeStatus(reservation.status),
+        ota_room_code: reservation.room_id,
+        ota_rate_plan_code: reservation.rate_plan_id,
+        check_in_date: reservation.checkin,
+        check_out_date: reservation.checkout,
+        adults: parseInt(reservation.adults) || 1,
+        children: parseInt(reservation.children) || 0,
+        total_amount: reservation.total_price,
+        special_requests: reservation.remarks,
+        customer: {
+            first_name: customer.first_name,
+            last_name: customer.last_name,
+            email: customer.email,
+            phone: customer.telephone
+        }
+    };
+};
+
+// Parse a Booking.com <reservations> document. Returns { hotel_id, reservations }.
+const parseReservationsXml = async (xml) => {
+    const parsed = await xml2js.parseStringPromise(xml, { explicitArray: false });
+    const root = (parsed && parsed.reservations) || {};
+
+    return {
+        hotel_id: root.hotel_id,
+        reservations: toArray(root.reservation).map(parseReservation)
+    };
+};
+
+module.exports = {
+    name: 'booking_com',
+    label: 'Booking.com',
+    aliases: ['booking.com'],
+    bookingSource: 'booking_com',
+    requiresHotelId: true,
+    // The hotel ID is the HotelCode of the OpenTravel ARI messages
+    validateHotelId: opentravel.validateHotelCode,
+    payloadSchema: { type: 'xsd', file: schemaFile('opentravel_ari.xsd') },
+
+    // ARI goes out through Booking.com's OpenTravel interface
+    buildAriPayload: (config, units, context) => opentravel.buildARIMessages(config.hotel_id, units, context),
+
+    buildPushRequests: (config, payload) => opentravel.buildARIRequests(config, payload),
+
+    push: (config, payload) => opentravel.pushARIMessages(config, payload),
+
+    testConnection: async (config) => {
+        await sendRequest({
+            method: 'POST',
+            url: config.endpoint_url,
+            headers: {
+                'Content-Type': 'application/xml',
+                'Authorization': basicAuth(config)
+            },
+            body: js2xmlparser.parse('test_connection', {
+                authentication: {
+                    username: config.api_username,
+                    password: config.api_password
+                },
+                hotel_id: config.hotel_id
+            })
+        }, 15000);
+    },
+
+    fetchReservations: async (config, since) => {
+        const requestData = {
+            authentication: {
+                username: config.api_username,
+                password: config.api_password
+            },
+            hotel_id: config.hotel_id
+        };
+
+        if (since) {
+            requestData.last_change = moment(since).format('YYYY-MM-DD HH:mm:ss');
+        }
+
+        const response = await sendRequest({
+            method: 'POST',
+            url: buildUrl(config.endpoint_url, 'reservations'),
+            headers: {
+                'Content-Type': 'application/xml',
+                'Authorization': basicAuth(config)
+            },
+            body: js2xmlparser.parse('reservations_request', requestData)
+        });
+
+        const parsed = await parseReservationsXml(response.data);
+        return parsed.reservations;
+    },
+
+    // Booking.com pushes either its own <reservations> document or OTA_HotelResNotifRQ
+    parseWebhook: async (body) => {
+        if (typeof body !== 'string' || body.trim() === '') {
+            throw new Error('Expected an XML body');
+        }
+        if (opentravel.isHotelResNotifRQ(body)) {
+            return { ...(await opentravel.parseHotelResNotifRQ(body)), format: 'opentravel' };
+        }
+        return parseReservationsXml(body);
+    },
+
+    buildWebhookAcknowledgement: (outcomes, errorMessage, payload) => {
+        if (payload && payload.format === 'opentravel') {
+            return {
+                contentType: 'application/xml',
+                body: opentravel.buildHotelResNotifRS(outcomes, { echoToken: payload.echo_token, errorMessage })
+            };
+        }
+
+        const failed = outcomes.filter(outcome => outcome.action === 'failed');
+        return {
+            contentType: 'application/xml',
+            body: js2xmlparser.parse('reservations_ack', errorMessage
+                ? { status: 'error', error: errorMessage }
+                : {
+                    status: failed.length === 0 ? 'ok' : 'error',
+                    reservation: outcomes.map(outcome => ({
+                        '@': {
+                            id: outcome.ota_reservation_id,
+                            status: outcome.action === 'failed' ? 'error' : 'ok'
+                        },
+                        ...(outcome.error ? { error: outcome.error } : {})
+                    }))
+                })
+        };
+    }
+};
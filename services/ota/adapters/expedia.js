@@ -0,0 +1,188 @@
+const xml2js = require('xml2js');
+const js2xmlparser = require('js2xmlparser');
+const moment = require('moment');
+const { buildUrl, sendRequest, toArray, groupDateRanges, normalizeStatus } = require('../utils');
+const { schemaFile } = require('../payloadSchemas');
+
+// Expedia Partner Central (EQC) Availability & Rates and Booking Retrieval APIs
+const AR_NAMESPACE = 'http://www.expediaconnect.com/EQC/AR/2011/06';
+const BR_NAMESPACE = 'http://www.expediaconnect.com/EQC/BR/2014/01';
+
+// Booking Retrieval can look back at most this many days
+const MAX_DAYS_IN_PAST = 30;
+
+const parseXml = (xml) => xml2js.parseStringPromise(xml, {
+    explicitArray: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+});
+
+const buildAuthentication = (config) => ({
+    '@': { username: config.api_username || '', password: config.api_password || '' }
+});
+
+const buildXmlRequest = (config, path, xmlData) => ({
+    method: 'POST',
+    url: buildUrl(config.endpoint_url, path),
+    headers: { 'Content-Type': 'text/xml' },
+    body: xmlData
+});
+
+const postXml = async (config, path, xmlData, timeout = 30000) => {
+    const response = await sendRequest(buildXmlRequest(config, path, xmlData), timeout);
+    return parseXml(response.data);
+};
+
+// EQC reports failures as <Error code="...">message</Error> on the RS root
+const readErrors = (root) => toArray(root && root.Error).map(error => {
+    if (typeof error === 'string') {
+        return error;
+    }
+    return `${error._ || 'Unknown error'}${error.$ && error.$.code ? ` (${error.$.code})` : ''}`;
+});
+
+// Build a BookingRetrievalRQ; without `since`, Expedia returns bookings not yet confirmed
+const buildBookingRetrievalRQ = (config, since) => {
+    const request = {
+        '@': { xmlns: BR_NAMESPACE },
+        Authentication: buildAuthentication(config),
+        Hotel: { '@': { id: String(config.hotel_id) } }
+    };
+
+    if (since) {
+        const days = Math.ceil(moment().diff(moment(since), 'hours') / 24);
+        request.ParamSet = { NbDaysInPast: Math.min(Math.max(days, 1), MAX_DAYS_IN_PAST) };
+    }
+
+    return js2xmlparser.parse('BookingRetrievalRQ', request);
+};
+
+// Convert an EQC <Booking> element to the common reservation shape
+const parseBooking = (booking) => {
+    const attributes = booking.$ || {};
+    const roomStay = booking.RoomStay || {};
+    const stayDate = (roomStay.StayDate && roomStay.StayDate.$) || {};
+    const guestCount = (roomStay.GuestCount && roomStay.GuestCount.$) || {};
+    const total = (roomStay.Total && roomStay.Total.$) || {};
+    const guest = booking.PrimaryGuest || {};
+    const name = (guest.Name && guest.Name.$) || {};
+    const phone = guest.Phone && guest.Phone.$;
+    const specialRequest = toArray(booking.SpecialRequest)[0];
+
+    return {
+        ota_reservation_id: attributes.id,
+        status: normalizeStatus(attributes.type),
+        ota_room_code: roomStay.$ ? roomStay.$.roomTypeID : undefined,
+        ota_rate_plan_code: roomStay.$ ? roomStay.$.ratePlanID : undefined,
+        check_in_date: stayDate.arrival,
+        check_out_date: stayDate.departure,
+        adults: parseInt(guestCount.adult) || 1,
+        children: parseInt(guestCount.child) || 0,
+        total_amount: total.amountAfterTaxes ?? total.amountBeforeTaxes,
+        special_requests: typeof specialRequest === 'object' ? specialRequest._ : specialRequest,
+        customer: {
+            first_name: name.givenName,
+            last_name: name.surname,
+            email: guest.Email,
+            phone: phone
+                ? [phone.countryCode && `+${phone.countryCode}`, phone.cityAreaCode, phone.number].filter(Boolean).join(' ')
+                : undefined
+        }
+    };
+};
+
+module.exports = {
+    name: 'expedia',
+    label: 'Expedia',
+    aliases: ['expedia partner central'],
+    bookingSource: 'expedia',
+    requiresHotelId: true,
+    // EQC hotel IDs are numeric (Hotel/@id is an xs:positiveInteger)
+    validateHotelId: (hotelId) => (/^0*[1-9]\d*$/.test(hotelId) ? null : 'must be a positive whole number'),
+    payloadSchema: { type: 'xsd', file: schemaFile('expedia_ar.xsd') },
+
+    // One AvailRateUpdate per mapped room type and run of identical days
+    buildAriPayload: (config, units, context) => js2xmlparser.parse('AvailRateUpdateRQ', {
+        '@': { xmlns: AR_NAMESPACE },
+        Authentication: buildAuthentication(config),
+        Hotel: { '@': { id: String(config.hotel_id) } },
+        AvailRateUpdate: units.flatMap(unit => groupDateRanges(unit.dates, day => [
+            day.is_available, day.inventory, day.rate, day.min_stay, day.max_stay,
+            day.closed_to_arrival, day.closed_to_departure
+        ].join('|')).map(({ start, end, day }) => ({
+            DateRange: { '@': { from: start, to: end } },
+            RoomType: {
+                '@': { id: unit.ota_room_code, closed: String(!day.is_available) },
+                Inventory: { '@': { totalInventoryAvailable: day.is_available ? day.inventory : 0 } },
+                RatePlan: {
+                    '@': { id: unit.ota_rate_plan_code, closed: String(!day.is_available) },
+                    Rate: {
+                        '@': { currency: context.currencyCode },
+                        PerDay: { '@': { rate: parseFloat(day.rate).toFixed(2) } }
+                    },
+                    Restrictions: {
+                        '@': {
+                            minLOS: day.min_stay,
+                            maxLOS: day.max_stay,
+                            closedToArrival: String(Boolean(day.closed_to_arrival)),
+                            closedToDeparture: String(Boolean(day.closed_to_departure))
+                        }
+                    }
+                }
+            }
+        })))
+    }),
+
+    buildPushRequests: (config, payload) => [buildXmlRequest(config, 'eqc/ar', payload)],
+
+    push: async (config, payload) => {
+        const parsed = await postXml(config, 'eqc/ar', payload);
+        const root = parsed && parsed.AvailRateUpdateRS;
+
+        if (!root) {
+            throw new Error('Expected AvailRateUpdateRS response');
+        }
+
+        const errors = readErrors(root);
+        if (errors.length > 0 || root.Success === undefined) {
+            throw new Error(`AvailRateUpdateRQ rejected: ${errors.join('; ') || 'no Success element'}`);
+        }
+
+        // Warnings come back inside <Success>
+        const success = typeof root.Success === 'object' ? root.Success : {};
+        return {
+            data: root,
+            warnings: toArray(success.Warning).map(warning => (typeof warning === 'object' ? warning._ : warning))
+        };
+    },
+
+    // Expedia has no ping message; a one-day booking retrieval checks the credentials
+    testConnection: async (config) => {
+        const parsed = await postXml(config, 'eqc/br', buildBookingRetrievalRQ(config, moment().subtract(1, 'day')), 15000);
+        const root = parsed && parsed.BookingRetrievalRS;
+
+        if (!root) {
+            throw new Error('Expected BookingRetrievalRS response');
+        }
+
+        const errors = readErrors(root);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+    },
+
+    fetchReservations: async (config, since) => {
+        const parsed = await postXml(config, 'eqc/br', buildBookingRetrievalRQ(config, since));
+        const root = parsed && parsed.BookingRetrievalRS;
+
+        if (!root) {
+            throw new Error('Expected BookingRetrievalRS response');
+        }
+
+        const errors = readErrors(root);
+        if (errors.length > 0) {
+            throw new Error(`BookingRetrievalRQ rejected: ${errors.join('; ')}`);
+        }
+
+        return toArray(root.Bookings && root.Bookings.Booking).map(parseBooking);
+    }
+};
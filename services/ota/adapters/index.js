@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { checkSchemaDeclaration } = require('../payloadSchemas');
+
+// Channel adapter registry. Every other .js file in this directory is an adapter:
+//
+//   name                    unique key, also accepted as ota_name
+//   label                   display name used in sync messages
+//   aliases                 other ota_name spellings (matched case-insensitively)
+//   bookingSource           bookings.source value for imported reservations
+//   requiresHotelId         optional: true when every message carries the configuration's
+//                           hotel_id, so a configuration without one is refused
+//   validateHotelId(hotelId)  optional: check the format of a hotel_id (a string) before a
+//                             configuration is saved; returns an error message such as
+//                             'must be a positive whole number', or null
+//   buildAriPayload(config, units, context)   units are the mapped channel room types from
+//                                             getARIUnits(): { ota_room_code, ota_rate_plan_code,
+//                                             room_name, dates }, with rates already marked up
+//                                             and converted; context is { currencyCode }
+//   buildPushRequests(config, payload)        the HTTP requests push() sends for the payload:
+//                                             [{ method, url, headers, body }] (used by the preview)
+//   push(config, payload)                     send the payload, resolve { data, warnings? },
+//                                             throw on failure
+//   testConnection(config)                    throw when the channel cannot be reached
+//   fetchReservations(config, since)          optional: pull reservations changed since a date
+//   parseWebhook(body)                        optional: pushed payload -> { hotel_id, reservations }
+//   buildWebhookAcknowledgement(outcomes, errorMessage, payload)
+//                                             required with parseWebhook -> { contentType, body }
+//   payloadSchema                             optional: { type: 'xsd' | 'json', file } every body
+//                                             from buildPushRequests must match; a push that
+//                                             does not is failed without calling the channel
+//                                             (see payloadSchemas)
+//
+// Requests to the channel go through utils.sendRequest, which keeps them in the sync log
+// of the push, reservation pull or connection test that sent them.
+//
+// Adding a channel only takes a new module here; no other code needs to change.
+
+const REQUIRED_MEMBERS = ['name', 'label', 'bookingSource', 'buildAriPayload', 'buildPushRequests', 'push', 'testConnection'];
+
+// Lower-cased name/alias -> adapter
+const adapters = new Map();
+
+// Validate and register an adapter under its name and aliases
+const registerAdapter = (adapter) => {
+    const missing = REQUIRED_MEMBERS.filter(member => !adapter[member]);
+    if (adapter.parseWebhook && !adapter.buildWebhookAcknowledgement) {
+        missing.push('buildWebhookAcknowledgement');
+    }
+    if (missing.length > 0) {
+        throw new Error(`OTA adapter ${adapter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    if (adapter.payloadSchema) {
+        const schemaError = checkSchemaDeclaration(adapter.payloadSchema);
+        if (schemaError) {
+            throw new Error(`OTA adapter ${adapter.name} has an invalid payloadSchema: ${schemaError}`);
+        }
+    }
+
+    for (const key of [adapter.name, ...(adapter.aliases || [])].map(key => key.toLowerCase())) {
+        if (adapters.has(key) && adapters.get(key) !== adapter) {
+            throw new Error(`OTA adapter name "${key}" is registered twice`);
+        }
+        adapters.set(key, adapter);
+    }
+};
+
+// Register every adapter module in a directory
+const loadAdapters = (directory) => {
+    fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort()
+        .forEach(file => registerAdapter(require(path.join(directory, file))));
+};
+
+// Find the adapter for an ota_name, or null when the channel is not supported
+const getAdapter = (otaName) => (otaName ? adapters.get(String(otaName).toLowerCase()) || null : null);
+
+// Same as getAdapter, but throws for unsupported channels
+const requireAdapter = (otaName) => {
+    const adapter = getAdapter(otaName);
+    if (!adapter) {
+        throw new Error(`Unsupported OTA: ${otaName}`);
+    }
+    return adapter;
+};
+
+// Map a configuration's ota_name to the bookings.source value
+const getBookingSource = (otaName) => {
+    const adapter = getAdapter(otaName);
+    return adapter ? adapter.bookingSource : 'other';
+};
+
+// Describe the registered channels (one entry per adapter)
+const listAdapters = () => [...new Set(adapters.values())].map(adapter => ({
+    name: adapter.name,
+    label: adapter.label,
+    aliases: adapter.aliases || [],
+    supports_reservation_pull: Boolean(adapter.fetchReservations),
+    supports_webhooks: Boolean(adapter.parseWebhook),
+    requires_hotel_id: Boolean(adapter.requiresHotelId),
+    payload_schema: adapter.payloadSchema ? adapter.payloadSchema.type : null
+}));
+
+loadAdapters(__dirname);
+
+module.exports = {
+    registerAdapter,
+    loadAdapters,
+    getAdapter,
+    requireAdapter,
+    getBookingSource,
+    listAdapters
+};
@@ -0,0 +1,38 @@
+const opentravel = require('../opentravel');
+const { schemaFile } = require('../payloadSchemas');
+
+// Any partner that speaks the standard OpenTravel hotel messages
+module.exports = {
+    name: 'opentravel',
+    label: 'OpenTravel',
+    aliases: [],
+    bookingSource: 'other',
+    requiresHotelId: true,
+    validateHotelId: opentravel.validateHotelCode,
+    payloadSchema: { type: 'xsd', file: schemaFile('opentravel_ari.xsd') },
+
+    buildAriPayload: (config, units, context) => opentravel.buildARIMessages(config.hotel_id, units, context),
+
+    buildPushRequests: (config, payload) => opentravel.buildARIRequests(config, payload),
+
+    push: (config, payload) => opentravel.pushARIMessages(config, payload),
+
+    testConnection: (config) => opentravel.ping(config),
+
+    // No fetchReservations: partners push OTA_HotelResNotifRQ to the webhook instead
+
+    parseWebhook: async (body) => {
+        if (typeof body !== 'string' || body.trim() === '') {
+            throw new Error('Expected an XML body');
+        }
+        return { ...(await opentravel.parseHotelResNotifRQ(body)), format: 'opentravel' };
+    },
+
+    buildWebhookAcknowledgement: (outcomes, errorMessage, payload) => ({
+        contentType: 'application/xml',
+        body: opentravel.buildHotelResNotifRS(outcomes, {
+            echoToken: payload ? payload.echo_token : undefined,
+            errorMessage
+        })
+    })
+};
@@ -0,0 +1,89 @@
+const moment = require('moment');
+const db = require('../../config/database');
+const { BLOCKING_STATUSES } = require('../availability');
+
+// Per-channel limits on top of the hotel's own availability. An allotment caps how many
+// rooms of a channel room type the channel may sell per night, counting its own
+// reservations; a stop-sell closes the channel (or one of its room types) for a range
+// of dates. Both only change what that channel is sent.
+
+const formatDate = (date) => moment(date).format('YYYY-MM-DD');
+
+// Whether a dated entry applies on a date (NULL dates leave the range open)
+const coversDate = (entry, date) => (!entry.start_date || formatDate(entry.start_date) <= date) &&
+    (!entry.end_date || formatDate(entry.end_date) >= date);
+
+// Load a configuration's allotments and stop-sells for the range [startDate, endDate),
+// with its reservations in the range
+const getChannelControls = async (configId, startDate, endDate) => {
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
+
+    const allotments = await db.execute(`
+        SELECT * FROM ota_allotments
+        WHERE ota_configuration_id = ?
+        AND (start_date IS NULL OR start_date < ?)
+        AND (end_date IS NULL OR end_date >= ?)
+    `, [configId, end, start]);
+
+    const stopSells = await db.execute(
+        'SELECT * FROM ota_stop_sells WHERE ota_configuration_id = ? AND start_date < ? AND end_date >= ?',
+        [configId, end, start]
+    );
+
+    const reservations = await db.execute(`
+        SELECT room_id, check_in_date, check_out_date
+        FROM bookings
+        WHERE ota_configuration_id = ?
+        AND booking_status IN (${BLOCKING_STATUSES.map(() => '?').join(', ')})
+        AND NOT (check_out_date <= ? OR check_in_date >= ?)
+    `, [configId, ...BLOCKING_STATUSES, start, end]);
+
+    return {
+        allotments,
+        stopSells,
+        reservations: reservations.map(reservation => ({
+            room_id: reservation.room_id,
+            check_in_date: formatDate(reservation.check_in_date),
+            check_out_date: formatDate(reservation.check_out_date)
+        }))
+    };
+};
+
+// Limit ARI units (see buildARIUnits) to what the channel may sell. Each day also gets
+// allotment (the tightest cap, or null), channel_reservations and stop_sell.
+const applyChannelControls = (units, controls) => units.map(unit => ({
+    ...unit,
+    dates: unit.dates.map(day => {
+        const caps = controls.allotments
+            .filter(allotment => allotment.ota_room_code === unit.ota_room_code && coversDate(allotment, day.date))
+            .map(allotment => allotment.max_rooms);
+        const stopSell = controls.stopSells.some(stop => (stop.ota_room_code === null || stop.ota_room_code === unit.ota_room_code) &&
+            coversDate(stop, day.date));
+        const channelReservations = controls.reservations.filter(reservation => unit.room_ids.includes(reservation.room_id) &&
+            day.date >= reservation.check_in_date && day.date < reservation.check_out_date).length;
+
+        const allotment = caps.length > 0 ? Math.min(...caps) : null;
+        let inventory = day.inventory;
+        if (allotment !== null) {
+            inventory = Math.min(inventory, Math.max(allotment - channelReservations, 0));
+        }
+        if (stopSell) {
+            inventory = 0;
+        }
+
+        return {
+            ...day,
+            is_available: day.is_available && inventory > 0,
+            inventory,
+            allotment,
+            channel_reservations: channelReservations,
+            stop_sell: stopSell
+        };
+    })
+}));
+
+module.exports = {
+    getChannelControls,
+    applyChannelControls
+};
@@ -0,0 +1,127 @@
+const moment = require('moment');
+const db = require('../../config/database');
+
+// A circuit breaker per configuration, so a channel whose endpoint is down fails fast
+// instead of every sync waiting out the request timeout. The circuit opens after
+// CIRCUIT_FAILURE_THRESHOLD calls in a row find the endpoint unreachable; once it has been
+// open for CIRCUIT_RESET_SECONDS one call is let through as a probe (half-open), which
+// closes the circuit when the channel answers and opens it again when it does not.
+// The state lives on the configuration row, so every app process shares it.
+
+// Consecutive endpoint failures that open the circuit
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.OTA_CIRCUIT_FAILURE_THRESHOLD) || 5;
+
+// How long an open circuit blocks calls before a probe, and how long a probe may run
+// before another one can take over
+const CIRCUIT_RESET_SECONDS = parseInt(process.env.OTA_CIRCUIT_RESET_SECONDS) || 300;
+
+// What a failed channel call says about the endpoint: true when it could not be reached
+// (timeout, refused connection) or answered with a server error, false when it answered
+// (a rejected message or a 4xx), null when the error came from somewhere else
+const isEndpointFailure = (error) => {
+    if (!error || !error.isAxiosError) {
+        return null;
+    }
+    return !error.response || error.response.status >= 500;
+};
+
+// When a circuit that is not closed lets its next probe through
+const getRetryAt = (config) => (config.circuit_state === 'closed' || !config.circuit_changed_at
+    ? null
+    : moment(config.circuit_changed_at).add(CIRCUIT_RESET_SECONDS, 'seconds'));
+
+// Ask the configuration's circuit whether a call may go out now. Returns { allowed, probe }
+// (probe when the call tests a circuit that was open), or { allowed: false, retry_at }.
+const enterCircuit = async (configId) => {
+    const configs = await db.execute(
+        'SELECT circuit_state, circuit_changed_at FROM ota_configurations WHERE id = ?',
+        [configId]
+    );
+    const config = configs[0];
+
+    if (!config || config.circuit_state === 'closed') {
+        return { allowed: true, probe: false };
+    }
+
+    // Only one caller wins the probe, even across processes
+    const result = await db.execute(`
+        UPDATE ota_configurations
+        SET circuit_state = 'half_open', circuit_changed_at = NOW()
+        WHERE id = ? AND circuit_state IN ('open', 'half_open')
+        AND circuit_changed_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `, [configId, CIRCUIT_RESET_SECONDS]);
+
+    if (result.affectedRows === 1) {
+        return { allowed: true, probe: true };
+    }
+
+    const retryAt = getRetryAt(config);
+    return { allowed: false, retry_at: retryAt ? retryAt.toISOString() : null };
+};
+
+// Record the outcome of a call let through by enterCircuit(): pass the error it threw,
+// or nothing when it succeeded. Errors that say nothing about the endpoint are ignored.
+const recordCircuitResult = async (configId, error = null) => {
+    const failed = isEndpointFailure(error);
+
+    try {
+        if (!error || failed === false) {
+            await db.execute(`
+                UPDATE ota_configurations
+                SET circuit_changed_at = IF(circuit_state = 'closed', circuit_changed_at, NOW()),
+                    circuit_state = 'closed', circuit_failures = 0
+                WHERE id = ?
+            `, [configId]);
+        } else if (failed) {
+            // MySQL assigns left to right, so the state is worked out from the old count
+            await db.execute(`
+                UPDATE ota_configurations
+                SET circuit_changed_at = IF(circuit_state = 'closed' AND circuit_failures + 1 < ?, circuit_changed_at, NOW()),
+                    circuit_state = IF(circuit_state = 'closed' AND circuit_failures + 1 < ?, 'closed', 'open'),
+                    circuit_failures = circuit_failures + 1,
+                    circuit_last_failure_at = NOW(),
+                    circuit_last_error = ?
+                WHERE id = ?
+            `, [CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_FAILURE_THRESHOLD, error.message, configId]);
+        }
+    } catch (recordError) {
+        console.error('Failed to record OTA circuit result:', recordError);
+    }
+};
+
+// Selected with configuration rows for getChannelHealth()
+const CIRCUIT_COLUMNS = 'circuit_state, circuit_failures, circuit_changed_at, circuit_last_failure_at, circuit_last_error';
+
+// Selected with configuration rows: whether the circuit currently turns calls away
+const CIRCUIT_BLOCKED_COLUMN = `(circuit_state != 'closed' AND circuit_changed_at > DATE_SUB(NOW(), INTERVAL ${CIRCUIT_RESET_SECONDS} SECOND)) AS circuit_blocked`;
+
+// Describe a configuration's health from its circuit: down while the circuit is open,
+// degraded while it probes or after failures that have not opened it yet, else healthy
+const getChannelHealth = (config) => {
+    let state = 'healthy';
+    if (config.circuit_state === 'open') {
+        state = 'down';
+    } else if (config.circuit_state === 'half_open' || config.circuit_failures > 0) {
+        state = 'degraded';
+    }
+
+    const retryAt = getRetryAt(config);
+    return {
+        state,
+        circuit_state: config.circuit_state,
+        consecutive_failures: config.circuit_failures,
+        last_failure_at: config.circuit_last_failure_at,
+        last_error: config.circuit_last_error,
+        retry_at: retryAt ? retryAt.toISOString() : null
+    };
+};
+
+module.exports = {
+    CIRCUIT_FAILURE_THRESHOLD,
+    CIRCUIT_RESET_SECONDS,
+    CIRCUIT_COLUMNS,
+    CIRCUIT_BLOCKED_COLUMN,
+    enterCircuit,
+    recordCircuitResult,
+    getChannelHealth
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// OTA secrets are stored encrypted with AES-256-GCM under OTA_CREDENTIALS_KEY
+// (32 bytes, hex or base64). When the key is rotated, the old one goes in
+// OTA_CREDENTIALS_OLD_KEYS (comma-separated) until `npm run rotate:ota-credentials`
+// has re-encrypted every configuration with the new key.
+const SECRET_FIELDS = ['api_key', 'api_password', 'webhook_secret'];
+
+const PREFIX = 'enc:v1:';
+
+const MASK = '********';
+
+const parseKey = (value) => {
+    const trimmed = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error('OTA credentials keys must be 32 bytes, hex or base64 encoded');
+    }
+    return key;
+};
+
+// Short fingerprint stored with each value, so the right key is found after a rotation
+const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+// The current key first, then the keys it replaced
+const getKeys = () => {
+    if (!process.env.OTA_CREDENTIALS_KEY) {
+        throw new Error('OTA_CREDENTIALS_KEY is not set');
+    }
+
+    const oldKeys = (process.env.OTA_CREDENTIALS_OLD_KEYS || '').split(',').filter(value => value.trim() !== '');
+    return [process.env.OTA_CREDENTIALS_KEY, ...oldKeys].map(parseKey);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Blank secrets are stored as NULL
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Encrypt a secret with the current key
+const encryptSecret = (plaintext) => {
+    if (isBlank(plaintext)) {
+        return null;
+    }
+
+    const [key] = getKeys();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return PREFIX + [getKeyId(key), iv, cipher.getAuthTag(), ciphertext]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+        .join(':');
+};
+
+// Decrypt a stored secret. Values saved before encryption was enabled are returned
+// as they are until the rotation command encrypts them.
+const decryptSecret = (value) => {
+    if (isBlank(value) || !isEncrypted(value)) {
+        return isBlank(value) ? null : value;
+    }
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = getKeys().find(candidate => getKeyId(candidate) === keyId);
+
+    if (!key) {
+        throw new Error(`No OTA credentials key matches stored key ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether a stored secret needs re-encrypting with the current key
+const needsRotation = (value) => {
+    if (isBlank(value)) {
+        return false;
+    }
+    if (!isEncrypted(value)) {
+        return true;
+    }
+    return value.slice(PREFIX.length).split(':')[0] !== getKeyId(getKeys()[0]);
+};
+
+// Copy of a configuration row with its secrets decrypted, for the channel adapters
+const decryptConfiguration = (config) => {
+    const decrypted = { ...config };
+    SECRET_FIELDS.forEach(field => {
+        decrypted[field] = decryptSecret(config[field]);
+    });
+    return decrypted;
+};
+
+// The forms a secret can take in XML: serializers always escape & and <, and some
+// also escape > and quotes
+const getXmlForms = (text) => {
+    const minimal = text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const withGreaterThan = minimal.replace(/>/g, '&gt;');
+    return [text, minimal, withGreaterThan, withGreaterThan.replace(/"/g, '&quot;').replace(/'/g, '&apos;')];
+};
+
+// Replace a decrypted configuration's secrets wherever they appear in a value
+// (strings, and the strings nested in arrays and objects)
+const maskSecrets = (value, config) => {
+    const secrets = [...new Set(SECRET_FIELDS
+        .map(field => config[field])
+        .filter(secret => !isBlank(secret))
+        .flatMap(secret => getXmlForms(String(secret))))]
+        .sort((a, b) => b.length - a.length);
+
+    const mask = (item) => {
+        if (typeof item === 'string') {
+            return secrets.reduce((masked, secret) => masked.split(secret).join(MASK), item);
+        }
+        if (Array.isArray(item)) {
+            return item.map(mask);
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([key, nested]) => [key, mask(nested)]));
+        }
+        return item;
+    };
+
+    return mask(value);
+};
+
+// Mask a { method, url, headers, body } request for display; the Authorization
+// header only keeps its scheme
+const maskRequest = (request, config) => ({
+    ...request,
+    url: maskSecrets(request.url, config),
+    headers: Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [
+        name,
+        name.toLowerCase() === 'authorization' ? `${String(value).split(' ')[0]} ${MASK}` : maskSecrets(value, config)
+    ])),
+    body: maskSecrets(request.body, config)
+});
+
+module.exports = {
+    SECRET_FIELDS,
+    encryptSecret,
+    decryptSecret,
+    needsRotation,
+    decryptConfiguration,
+    maskSecrets,
+    maskRequest
+};
@@ -0,0 +1,220 @@
+const moment = require('moment');
+const js2xmlparser = require('js2xmlparser');
+const db = require('../../config/database');
+const { buildRoomCalendar } = require('../availability');
+const { getFileUrl } = require('../../middleware/upload');
+const { CHANNEL_DEFAULT_MAX_STAY, getConfigurationRooms } = require('./mappings');
+const { getChannelCurrency, getChannelRate } = require('./pricing');
+const { schemaFile } = require('./payloadSchemas');
+
+// The property content a channel is given on request: the hotel's details from settings
+// and the configuration's rooms with their category, amenities, images and today's
+// channel rate, plus per-day rates and availability over a date range when one is asked
+// for. buildPropertyExport() returns plain data (the JSON export) and toExportXml()
+// renders it as the XML export.
+
+// The schema each export format is checked against before it is handed out
+const EXPORT_SCHEMAS = {
+    xml: { type: 'xsd', file: schemaFile('ota_export.xsd') },
+    json: { type: 'json', file: schemaFile('ota_export.json') }
+};
+
+const HOTEL_INFO_KEYS = ['hotel_name', 'hotel_email', 'hotel_phone', 'hotel_address', 'check_in_time', 'check_out_time'];
+
+// Group rows by their room_id
+const groupByRoom = (rows) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.room_id)) {
+            groups.set(row.room_id, []);
+        }
+        groups.get(row.room_id).push(row);
+    });
+    return groups;
+};
+
+// Build a configuration's export. range is { startDate, endDate } (end exclusive), or null
+// to leave out the per-day calendar.
+const buildPropertyExport = async (config, range = null) => {
+    const settings = await db.execute(
+        `SELECT setting_key, setting_value FROM settings WHERE setting_key IN (${HOTEL_INFO_KEYS.map(() => '?').join(', ')})`,
+        HOTEL_INFO_KEYS
+    );
+    const hotelInfo = {};
+    settings.forEach(setting => {
+        hotelInfo[setting.setting_key] = setting.setting_value;
+    });
+
+    // A property's own name wins over the group's
+    const properties = config.property_id
+        ? await db.execute('SELECT name FROM properties WHERE id = ?', [config.property_id])
+        : [];
+
+    const rooms = await getConfigurationRooms(config);
+    const roomIds = rooms.map(room => room.id);
+    const roomPlaceholders = roomIds.map(() => '?').join(', ');
+
+    const amenities = roomIds.length === 0 ? [] : await db.execute(`
+        SELECT ra.room_id, a.name, a.icon, a.description
+        FROM room_amenities ra
+        JOIN amenities a ON ra.amenity_id = a.id
+        WHERE ra.room_id IN (${roomPlaceholders})
+        ORDER BY a.name
+    `, roomIds);
+
+    const images = roomIds.length === 0 ? [] : await db.execute(`
+        SELECT room_id, image_path, image_alt, is_primary
+        FROM room_images
+        WHERE room_id IN (${roomPlaceholders})
+        ORDER BY is_primary DESC, display_order ASC, id ASC
+    `, roomIds);
+
+    const amenitiesByRoom = groupByRoom(amenities);
+    const imagesByRoom = groupByRoom(images);
+
+    // Today's availability and rate, including per-date overrides, priced for the channel
+    const today = moment().startOf('day');
+    const currentCalendar = await buildRoomCalendar(rooms, today, today.clone().add(1, 'day'));
+    const rangeCalendar = range ? await buildRoomCalendar(rooms, range.startDate, range.endDate) : null;
+    const currency = await getChannelCurrency(config);
+
+    return {
+        generated_at: moment().toISOString(),
+        currency: currency.currencyCode,
+        date_range: range
+            ? {
+                start_date: range.startDate.format('YYYY-MM-DD'),
+                end_date: range.endDate.clone().subtract(1, 'day').format('YYYY-MM-DD')
+            }
+            : null,
+        hotel: {
+            id: config.hotel_id,
+            name: properties.length > 0 ? properties[0].name : (hotelInfo.hotel_name || null),
+            email: hotelInfo.hotel_email || null,
+            phone: hotelInfo.hotel_phone || null,
+            address: hotelInfo.hotel_address || null,
+            check_in_time: hotelInfo.check_in_time || null,
+            check_out_time: hotelInfo.check_out_time || null
+        },
+        rooms: rooms.map(room => {
+            const [currentDay] = currentCalendar.get(room.id);
+
+            return {
+                id: room.id,
+                room_number: room.room_number,
+                name: room.room_name,
+                description: room.description,
+                category: {
+                    id: room.room_category_id,
+                    name: room.category_name,
+                    description: room.category_description
+                },
+                capacity: room.max_occupancy,
+                room_size: room.room_size,
+                bed_type: room.bed_type,
+                cancellation_policy: room.cancellation_policy,
+                rate: getChannelRate(currentDay.rate, config, currency),
+                is_available: currentDay.is_available,
+                amenities: (amenitiesByRoom.get(room.id) || []).map(amenity => ({
+                    name: amenity.name,
+                    icon: amenity.icon,
+                    description: amenity.description
+                })),
+                images: (imagesByRoom.get(room.id) || []).map(image => ({
+                    url: getFileUrl(image.image_path),
+                    alt: image.image_alt,
+                    is_primary: Boolean(image.is_primary)
+                })),
+                calendar: rangeCalendar
+                    ? rangeCalendar.get(room.id).map(day => ({
+                        date: day.date,
+                        is_available: day.is_available,
+                        rate: getChannelRate(day.rate, config, currency),
+                        min_stay: day.min_stay,
+                        max_stay: day.max_stay ?? CHANNEL_DEFAULT_MAX_STAY,
+                        closed_to_arrival: day.closed_to_arrival,
+                        closed_to_departure: day.closed_to_departure
+                    }))
+                    : null
+            };
+        })
+    };
+};
+
+// js2xmlparser writes null and undefined out literally
+const text = (value) => (value === null || value === undefined ? '' : value);
+
+// Render an export from buildPropertyExport() as XML
+const toExportXml = (data) => js2xmlparser.parse('ota_export', {
+    '@': {
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'version': '1.0',
+        'generated_at': data.generated_at
+    },
+    hotel: {
+        '@': { id: text(data.hotel.id) },
+        name: text(data.hotel.name),
+        contact: {
+            email: text(data.hotel.email),
+            phone: text(data.hotel.phone),
+            address: text(data.hotel.address)
+        },
+        check_in_time: text(data.hotel.check_in_time),
+        check_out_time: text(data.hotel.check_out_time),
+        rooms: {
+            room: data.rooms.map(room => ({
+                '@': { id: room.id },
+                name: text(room.name),
+                category: text(room.category.name),
+                category_description: text(room.category.description),
+                capacity: text(room.capacity),
+                room_size: text(room.room_size),
+                bed_type: text(room.bed_type),
+                rate: {
+                    '@': { currency: data.currency },
+                    '#': room.rate.toFixed(2)
+                },
+                availability: room.is_available ? 'available' : 'unavailable',
+                description: text(room.description),
+                cancellation_policy: text(room.cancellation_policy),
+                amenities: {
+                    amenity: room.amenities.map(amenity => ({
+                        '@': amenity.icon ? { icon: amenity.icon } : {},
+                        '#': amenity.name
+                    }))
+                },
+                images: {
+                    image: room.images.map(image => ({
+                        '@': image.alt ? { primary: image.is_primary, alt: image.alt } : { primary: image.is_primary },
+                        '#': image.url
+                    }))
+                },
+                ...(room.calendar
+                    ? {
+                        calendar: {
+                            '@': { start_date: data.date_range.start_date, end_date: data.date_range.end_date },
+                            day: room.calendar.map(day => ({
+                                '@': { date: day.date },
+                                availability: day.is_available ? 'available' : 'unavailable',
+                                rate: {
+                                    '@': { currency: data.currency },
+                                    '#': day.rate.toFixed(2)
+                                },
+                                min_stay: day.min_stay,
+                                max_stay: day.max_stay,
+                                closed_to_arrival: day.closed_to_arrival,
+                                closed_to_departure: day.closed_to_departure
+                            }))
+                        }
+                    }
+                    : {})
+            }))
+        }
+    }
+});
+
+module.exports = {
+    EXPORT_SCHEMAS,
+    buildPropertyExport,
+    toExportXml
+};
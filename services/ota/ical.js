@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment');
+const db = require('../../config/database');
+const { BLOCKING_STATUSES } = require('../availability');
+const { buildARIChangeQuery } = require('../ariJournal');
+const { groupDateRanges } = require('./utils');
+
+// iCalendar sync for listings that only exchange calendar feeds (Airbnb, Vrbo and the
+// like). Each room publishes its booked and closed dates at a tokenized URL, and the
+// events of each room's external feeds are imported as holds (room_holds), which block
+// the room like a booking. Holds are never exported, so a channel is not sent its own
+// stays back.
+
+// Days ahead a room's feed covers
+const ICAL_EXPORT_DAYS = 730;
+
+// Minutes between imports of a feed
+const ICAL_IMPORT_INTERVAL_MINUTES = parseInt(process.env.ICAL_IMPORT_INTERVAL_MINUTES) || 30;
+
+// Largest feed downloaded, in bytes
+const MAX_ICAL_FEED_BYTES = 5 * 1024 * 1024;
+
+const PRODID = '-//Hotel Booking Engine//Room Calendar//EN';
+
+const formatDate = (date) => moment(date).format('YYYY-MM-DD');
+
+// Random token for a room's export URL
+const generateICalToken = () => crypto.randomBytes(24).toString('hex');
+
+// Public URL of a room's feed
+const buildExportUrl = (roomId, token) => `${process.env.BACKEND_URL || ''}/api/ota/ical/${roomId}.ics?token=${token}`;
+
+// Compare tokens in constant time
+const isValidICalToken = (expected, given) => typeof expected === 'string' && typeof given === 'string' &&
+    expected.length === given.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Fold a content line to 75 octets, continuing on lines that start with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const toICalDate = (date) => moment(date).format('YYYYMMDD');
+
+// Render events ({ uid, start_date, end_date, summary }, end_date exclusive like a
+// check-out date) as an all-day iCalendar feed
+const buildICalendar = (name, events) => {
+    const stamp = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toICalDate(event.start_date)}`,
+            `DTEND;VALUE=DATE:${toICalDate(event.end_date)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Split a content line into { name, params, value }; parameter values may be quoted
+const parseContentLine = (line) => {
+    let quoted = false;
+    let separator = -1;
+    for (let i = 0; i < line.length && separator === -1; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ':' && !quoted) {
+            separator = i;
+        }
+    }
+    if (separator === -1) {
+        return null;
+    }
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+            const [key, ...value] = param.split('=');
+            return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+        })),
+        value: line.slice(separator + 1)
+    };
+};
+
+// DATE or DATE-TIME value -> YYYY-MM-DD (the day part; stays are whole days)
+const parseICalDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Read the events of an iCalendar feed as { uid, start_date, end_date, summary },
+// end_date exclusive. Cancelled events and events without a start are left out.
+const parseICalendar = (text) => {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        throw new Error('Response is not an iCalendar feed');
+    }
+
+    const events = [];
+    let event = null;
+
+    lines.forEach(line => {
+        const property = parseContentLine(line.trim());
+        if (!property) {
+            return;
+        }
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+            if (event && event.start_date && event.status !== 'CANCELLED') {
+                const end = event.end_date && event.end_date > event.start_date
+                    ? event.end_date
+                    : moment(event.start_date).add(1, 'day').format('YYYY-MM-DD');
+                events.push({
+                    uid: event.uid || `${event.start_date}-${end}`,
+                    start_date: event.start_date,
+                    end_date: end,
+                    summary: event.summary || null
+                });
+            }
+            event = null;
+        } else if (event) {
+            if (property.name === 'UID') {
+                event.uid = property.value;
+            } else if (property.name === 'DTSTART') {
+                event.start_date = parseICalDate(property.value);
+            } else if (property.name === 'DTEND') {
+                event.end_date = parseICalDate(property.value);
+            } else if (property.name === 'SUMMARY') {
+                event.summary = unescapeText(property.value);
+            } else if (property.name === 'STATUS') {
+                event.status = property.value.toUpperCase();
+            }
+        }
+    });
+
+    return events;
+};
+
+// The feed of one room: its current and upcoming bookings, and its closed dates
+// (consecutive ones as one event). Guest details are never included.
+const buildRoomICalendar = async (room) => {
+    const today = moment().startOf('day');
+    const start = today.format('YYYY-MM-DD');
+    const end = today.clone().add(ICAL_EXPORT_DAYS, 'days').format('YYYY-MM-DD');
+
+    const bookings = await db.execute(`
+        SELECT id, check_in_date, check_out_date
+        FROM bookings
+        WHERE room_id = ?
+        AND booking_status IN (${BLOCKING_STATUSES.map(() => '?').join(', ')})
+        AND check_out_date > ? AND check_in_date < ?
+        ORDER BY check_in_date
+    `, [room.id, ...BLOCKING_STATUSES, start, end]);
+
+    const closedDates = await db.execute(
+        'SELECT date FROM room_availability WHERE room_id = ? AND is_available = FALSE AND date >= ? AND date < ? ORDER BY date',
+        [room.id, start, end]
+    );
+
+    const events = [
+        ...bookings.map(booking => ({
+            uid: `booking-${booking.id}@hotel-booking-engine`,
+            start_date: formatDate(booking.check_in_date),
+            end_date: formatDate(booking.check_out_date),
+            summary: 'Reserved'
+        })),
+        ...groupDateRanges(closedDates.map(row => ({ date: formatDate(row.date) })), () => 'closed').map(range => ({
+            uid: `closed-${room.id}-${range.start}@hotel-booking-engine`,
+            start_date: range.start,
+            end_date: moment(range.end).add(1, 'day').format('YYYY-MM-DD'),
+            summary: 'Not available'
+        }))
+    ];
+
+    return buildICalendar(`${room.room_name} (${room.room_number})`, events);
+};
+
+// The ARI journal entry for a hold's nights
+const buildHoldChangeQuery = (hold) => buildARIChangeQuery(
+    [hold.room_id],
+    hold.start_date,
+    moment(hold.end_date).subtract(1, 'day'),
+    'ical'
+);
+
+// Make a feed's holds match its current events (those not over yet): add the new
+// ones, move the changed ones and drop the ones no longer in the feed, marking every
+// affected night for the channel manager. Returns { added, updated, removed, warnings }
+// where warnings list the bookings a hold overlaps.
+const replaceFeedHolds = async (feed, events) => {
+    const today = formatDate(moment());
+    const existing = await db.execute('SELECT * FROM room_holds WHERE ical_feed_id = ?', [feed.id]);
+    const existingByUid = new Map(existing.map(hold => [hold.external_uid, {
+        ...hold,
+        start_date: formatDate(hold.start_date),
+        end_date: formatDate(hold.end_date)
+    }]));
+
+    // Recurring events repeat their UID, so later instances are told apart by date
+    const holds = new Map();
+    events.filter(event => event.end_date > today).forEach(event => {
+        const uid = holds.has(event.uid) ? `${event.uid}/${event.start_date}` : event.uid;
+        holds.set(uid.slice(0, 255), {
+            room_id: feed.room_id,
+            external_uid: uid.slice(0, 255),
+            start_date: event.start_date,
+            end_date: event.end_date,
+            summary: event.summary ? event.summary.slice(0, 255) : null
+        });
+    });
+
+    const queries = [];
+    const changedHolds = [];
+    let added = 0;
+    let updated = 0;
+
+    holds.forEach((hold, uid) => {
+        const current = existingByUid.get(uid);
+        if (!current) {
+            queries.push({
+                query: 'INSERT INTO room_holds (room_id, ical_feed_id, external_uid, start_date, end_date, summary) VALUES (?, ?, ?, ?, ?, ?)',
+                params: [hold.room_id, feed.id, uid, hold.start_date, hold.end_date, hold.summary]
+            }, buildHoldChangeQuery(hold));
+            changedHolds.push(hold);
+            added++;
+        } else if (current.start_date !== hold.start_date || current.end_date !== hold.end_date || current.summary !== hold.summary) {
+            queries.push({
+                query: 'UPDATE room_holds SET start_date = ?, end_date = ?, summary = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                params: [hold.start_date, hold.end_date, hold.summary, current.id]
+            }, buildHoldChangeQuery(current), buildHoldChangeQuery(hold));
+            changedHolds.push(hold);
+            updated++;
+        }
+    });
+
+    const removedHolds = [...existingByUid.values()].filter(hold => !holds.has(hold.external_uid));
+    if (removedHolds.length > 0) {
+        queries.push({
+            query: `DELETE FROM room_holds WHERE id IN (${removedHolds.map(() => '?').join(', ')})`,
+            params: removedHolds.map(hold => hold.id)
+        }, ...removedHolds.map(buildHoldChangeQuery));
+    }
+
+    if (queries.length > 0) {
+        await db.transaction(queries);
+    }
+
+    // A direct booking made before the hold arrived is already double-booked; report it
+    const warnings = [];
+    for (const hold of changedHolds) {
+        const conflicts = await db.execute(`
+            SELECT booking_reference FROM bookings
+            WHERE room_id = ?
+            AND booking_status IN (${BLOCKING_STATUSES.map(() => '?').join(', ')})
+            AND NOT (check_out_date <= ? OR check_in_date >= ?)
+        `, [hold.room_id, ...BLOCKING_STATUSES, hold.start_date, hold.end_date]);
+
+        if (conflicts.length > 0) {
+            warnings.push(`Hold ${hold.start_date} to ${hold.end_date} overlaps booking(s) ${conflicts.map(c => c.booking_reference).join(', ')}`);
+        }
+    }
+
+    return { added, updated, removed: removedHolds.length, warnings };
+};
+
+// Download a feed and replace its holds. Returns { success, message, added, updated,
+// removed, warnings }; the outcome is also kept on the feed.
+const importICalFeed = async (feed) => {
+    try {
+        const response = await axios.get(feed.url, {
+            responseType: 'text',
+            timeout: 30000,
+            maxContentLength: MAX_ICAL_FEED_BYTES
+        });
+        const result = await replaceFeedHolds(feed, parseICalendar(response.data));
+        const message = `iCal import: ${result.added} added, ${result.updated} updated, ${result.removed} removed` +
+            (result.warnings.length > 0 ? `. Warnings: ${result.warnings.join('; ')}` : '');
+
+        await db.execute(
+            'UPDATE room_ical_feeds SET last_imported_at = NOW(), last_import_status = ?, last_import_message = ? WHERE id = ?',
+            ['success', message, feed.id]
+        );
+
+        return { success: true, message, ...result };
+
+    } catch (error) {
+        console.error(`iCal import error for feed ${feed.id}:`, error);
+        const message = `iCal import failed: ${error.message}`;
+
+        try {
+            await db.execute(
+                'UPDATE room_ical_feeds SET last_imported_at = NOW(), last_import_status = ?, last_import_message = ? WHERE id = ?',
+                ['failed', message, feed.id]
+            );
+        } catch (updateError) {
+            console.error('Failed to record iCal import result:', updateError);
+        }
+
+        return { success: false, message };
+    }
+};
+
+// Remove a feed with its holds, reopening the nights they held
+const deleteICalFeed = async (feed) => {
+    const holds = await db.execute('SELECT room_id, start_date, end_date FROM room_holds WHERE ical_feed_id = ?', [feed.id]);
+
+    await db.transaction([
+        { query: 'DELETE FROM room_ical_feeds WHERE id = ?', params: [feed.id] },
+        ...holds.map(buildHoldChangeQuery)
+    ]);
+};
+
+// Import every active feed of an active room not imported in the last
+// ICAL_IMPORT_INTERVAL_MINUTES. Each feed is claimed first, so two processes (or an import
+// still running from the previous tick) never import the same feed at once.
+const runDueICalImports = async () => {
+    const feeds = await db.execute(`
+        SELECT f.*
+        FROM room_ical_feeds f
+        JOIN rooms r ON f.room_id = r.id
+        WHERE f.is_active = TRUE AND r.is_active = TRUE
+        AND (f.last_imported_at IS NULL OR f.last_imported_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE))
+    `, [ICAL_IMPORT_INTERVAL_MINUTES]);
+
+    for (const feed of feeds) {
+        const claim = await db.execute(
+            'UPDATE room_ical_feeds SET last_imported_at = NOW() WHERE id = ? AND (last_imported_at IS NULL OR last_imported_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE))',
+            [feed.id, ICAL_IMPORT_INTERVAL_MINUTES]
+        );
+        if (claim.affectedRows !== 1) {
+            continue;
+        }
+
+        const result = await importICalFeed(feed);
+        if (!result.success) {
+            console.error(`Scheduled iCal import failed for feed ${feed.id}:`, result.message);
+        }
+    }
+};
+
+module.exports = {
+    ICAL_IMPORT_INTERVAL_MINUTES,
+    generateICalToken,
+    buildExportUrl,
+    isValidICalToken,
+    buildICalendar,
+    parseICalendar,
+    buildRoomICalendar,
+    importICalFeed,
+    deleteICalFeed,
+    runDueICalImports
+};
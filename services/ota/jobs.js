@@ -0,0 +1,148 @@
+const db = require('../../config/database');
+const { performOTASync } = require('./sync');
+const { acquireSyncLock, setSyncLockJob, releaseSyncLock, getSyncLock } = require('./locks');
+
+// Manual syncs run as background jobs: the request creates a job with one item per
+// channel and returns straight away, and the job's progress is read back from the
+// database while the channels are pushed in parallel.
+
+const formatJob = (job, items) => {
+    const finished = items.filter(item => !['pending', 'running'].includes(item.status));
+    const failed = finished.filter(item => item.status === 'failed');
+
+    let outcome = null;
+    if (job.status === 'failed') {
+        outcome = 'failed';
+    } else if (job.status === 'completed') {
+        if (failed.length === 0) {
+            outcome = 'success';
+        } else {
+            outcome = failed.length === items.length ? 'failed' : 'partial';
+        }
+    }
+
+    return {
+        ...job,
+        outcome,
+        progress: {
+            total_channels: items.length,
+            finished_channels: finished.length,
+            successful_channels: finished.length - failed.length,
+            failed_channels: failed.length,
+            records_processed: items.reduce((total, item) => total + (item.records_processed || 0), 0)
+        },
+        channels: items
+    };
+};
+
+// Get a job with its per-channel items and progress, or null
+const getSyncJob = async (jobId) => {
+    const jobs = await db.execute('SELECT * FROM ota_sync_jobs WHERE id = ?', [jobId]);
+    if (jobs.length === 0) {
+        return null;
+    }
+
+    const items = await db.execute(
+        'SELECT * FROM ota_sync_job_items WHERE job_id = ? ORDER BY id',
+        [jobId]
+    );
+
+    return formatJob(jobs[0], items);
+};
+
+const updateItem = (itemId, status, message = null, recordsProcessed = 0, mode = null) => db.execute(
+    `UPDATE ota_sync_job_items
+     SET status = ?, message = ?, records_processed = ?, mode = ?,
+         started_at = COALESCE(started_at, NOW()),
+         completed_at = IF(? IN ('pending', 'running'), NULL, NOW())
+     WHERE id = ?`,
+    [status, message, recordsProcessed, mode, status, itemId]
+);
+
+// Push every channel of a job, recording each one's outcome as it finishes.
+// onResult(config, result), when given, is called with each channel's sync result.
+const runSyncJob = async (jobId, items, options, onResult) => {
+    await db.execute('UPDATE ota_sync_jobs SET status = ?, started_at = NOW() WHERE id = ?', ['running', jobId]);
+
+    await Promise.all(items.map(async ({ itemId, config, lockToken }) => {
+        try {
+            await updateItem(itemId, 'running');
+            const result = await performOTASync(config, { ...options, lockToken });
+            await updateItem(itemId, result.status, result.message, result.records_processed, result.mode || null);
+            if (onResult) {
+                await onResult(config, result);
+            }
+        } catch (error) {
+            console.error(`Sync job ${jobId} error for ${config.ota_name}:`, error);
+            await updateItem(itemId, 'failed', error.message);
+            await releaseSyncLock(config.id, lockToken);
+        }
+    }));
+
+    await db.execute('UPDATE ota_sync_jobs SET status = ?, completed_at = NOW() WHERE id = ?', ['completed', jobId]);
+};
+
+// Queue a sync of the given configurations and start it in the background. Each
+// configuration is locked for the job straight away; those already being synced are
+// left out. options: { full, userId, onResult } (see runSyncJob).
+// Returns { jobId, running } where running lists the configurations left out with the
+// sync holding them ({ config, job_id, locked_until }; job_id is null for a scheduled
+// sync, which runs outside any job); jobId is null when none was left.
+const createSyncJob = async (configs, options = {}) => {
+    const { full = false, userId = null, onResult = null } = options;
+
+    const locked = [];
+    const running = [];
+    for (const config of configs) {
+        const lockToken = await acquireSyncLock(config.id);
+        if (lockToken) {
+            locked.push({ config, lockToken });
+        } else {
+            const lock = await getSyncLock(config.id);
+            running.push({ config, job_id: lock ? lock.job_id : null, locked_until: lock ? lock.locked_until : null });
+        }
+    }
+
+    if (locked.length === 0) {
+        return { jobId: null, running };
+    }
+
+    let jobId;
+    const items = [];
+    try {
+        const result = await db.execute(
+            'INSERT INTO ota_sync_jobs (status, full_sync, created_by) VALUES (?, ?, ?)',
+            ['queued', full, userId]
+        );
+        jobId = result.insertId;
+
+        for (const { config, lockToken } of locked) {
+            const itemResult = await db.execute(
+                'INSERT INTO ota_sync_job_items (job_id, ota_configuration_id, ota_name, status) VALUES (?, ?, ?, ?)',
+                [jobId, config.id, config.ota_name, 'pending']
+            );
+            await setSyncLockJob(config.id, lockToken, jobId);
+            items.push({ itemId: itemResult.insertId, config, lockToken });
+        }
+    } catch (error) {
+        await Promise.all(locked.map(({ config, lockToken }) => releaseSyncLock(config.id, lockToken)));
+        throw error;
+    }
+
+    runSyncJob(jobId, items, { full }, onResult).catch(async (error) => {
+        console.error(`Sync job ${jobId} error:`, error);
+        await Promise.all(items.map(({ config, lockToken }) => releaseSyncLock(config.id, lockToken)));
+        try {
+            await db.execute('UPDATE ota_sync_jobs SET status = ?, completed_at = NOW() WHERE id = ?', ['failed', jobId]);
+        } catch (updateError) {
+            console.error('Failed to mark sync job as failed:', updateError);
+        }
+    });
+
+    return { jobId, running };
+};
+
+module.exports = {
+    createSyncJob,
+    getSyncJob
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const db = require('../../config/database');
+
+// One sync per configuration at a time, across every app process. The lock lives on the
+// configuration row as a random token with a lease: the holder renews the lease while it
+// syncs and clears it when done, and a lock left behind by a crashed process simply
+// expires and can be taken over.
+
+// How long a lock holds without being renewed
+const SYNC_LOCK_LEASE_SECONDS = parseInt(process.env.OTA_SYNC_LOCK_LEASE_SECONDS) || 300;
+
+// Renew well before the lease runs out
+const SYNC_LOCK_RENEW_INTERVAL_MS = SYNC_LOCK_LEASE_SECONDS * 1000 / 3;
+
+// Take the configuration's lock, for a sync job when jobId is given.
+// Returns the lock token, or null when another sync holds it.
+const acquireSyncLock = async (configId, jobId = null) => {
+    const token = crypto.randomUUID();
+    const result = await db.execute(`
+        UPDATE ota_configurations
+        SET sync_lock_token = ?, sync_locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND), sync_job_id = ?
+        WHERE id = ? AND (sync_lock_token IS NULL OR sync_locked_until <= NOW())
+    `, [token, SYNC_LOCK_LEASE_SECONDS, jobId, configId]);
+
+    return result.affectedRows === 1 ? token : null;
+};
+
+// Extend the lease. Returns false when the lock was lost (it expired and was taken over).
+const renewSyncLock = async (configId, token) => {
+    const result = await db.execute(
+        'UPDATE ota_configurations SET sync_locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ? AND sync_lock_token = ?',
+        [SYNC_LOCK_LEASE_SECONDS, configId, token]
+    );
+    return result.affectedRows === 1;
+};
+
+// Record the sync job a lock is held for
+const setSyncLockJob = (configId, token, jobId) => db.execute(
+    'UPDATE ota_configurations SET sync_job_id = ? WHERE id = ? AND sync_lock_token = ?',
+    [jobId, configId, token]
+);
+
+const releaseSyncLock = async (configId, token) => {
+    try {
+        await db.execute(
+            'UPDATE ota_configurations SET sync_lock_token = NULL, sync_locked_until = NULL, sync_job_id = NULL WHERE id = ? AND sync_lock_token = ?',
+            [configId, token]
+        );
+    } catch (error) {
+        console.error('Failed to release OTA sync lock:', error);
+    }
+};
+
+// Keep renewing a lock until the returned function is called
+const keepSyncLock = (configId, token) => {
+    const timer = setInterval(async () => {
+        try {
+            if (!await renewSyncLock(configId, token)) {
+                console.error(`OTA sync lock for configuration ${configId} expired before the sync finished`);
+            }
+        } catch (error) {
+            console.error('Failed to renew OTA sync lock:', error);
+        }
+    }, SYNC_LOCK_RENEW_INTERVAL_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+// The sync currently holding a configuration's lock ({ job_id, locked_until }), or null
+const getSyncLock = async (configId) => {
+    const locks = await db.execute(
+        'SELECT sync_job_id AS job_id, sync_locked_until AS locked_until FROM ota_configurations WHERE id = ? AND sync_lock_token IS NOT NULL AND sync_locked_until > NOW()',
+        [configId]
+    );
+    return locks[0] || null;
+};
+
+module.exports = {
+    acquireSyncLock,
+    setSyncLockJob,
+    releaseSyncLock,
+    keepSyncLock,
+    getSyncLock
+};
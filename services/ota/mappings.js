@@ -0,0 +1,162 @@
+const db = require('../../config/database');
+const { getStayQuotes } = require('../availability');
+
+// A channel room type is mapped either to one local room or to a whole room category.
+// Room mappings take precedence: a room mapped on its own is left out of its
+// category's mapping, so its inventory is never counted twice.
+
+// Get a configuration's mappings with the local room/category names
+const getMappings = (configId) => db.execute(`
+    SELECT m.*, r.room_number, r.room_name, c.name AS category_name
+    FROM ota_room_mappings m
+    LEFT JOIN rooms r ON m.room_id = r.id
+    LEFT JOIN room_categories c ON m.category_id = c.id
+    WHERE m.ota_configuration_id = ?
+    ORDER BY m.ota_room_code, m.ota_rate_plan_code
+`, [configId]);
+
+// Get the active rooms a configuration sells: those of its property, or every room
+// when the configuration is not scoped to a property
+const getConfigurationRooms = (config) => db.execute(`
+    SELECT r.*, c.name AS category_name, c.description AS category_description
+    FROM rooms r
+    LEFT JOIN room_categories c ON r.room_category_id = c.id
+    WHERE r.is_active = TRUE AND (? IS NULL OR r.property_id = ?)
+    ORDER BY r.id
+`, [config.property_id ?? null, config.property_id ?? null]);
+
+// Maximum stay sent to channels for dates without one (the calendar has no limit there)
+const CHANNEL_DEFAULT_MAX_STAY = 30;
+
+// Merge several rooms' calendar days for one date into a single channel room type day:
+// inventory is summed over the rooms still open, and the rate and restrictions are
+// taken from the rooms that can actually be sold
+const mergeDays = (days) => {
+    const openDays = days.filter(day => day.is_available);
+    const sellable = openDays.length > 0 ? openDays : days;
+    const inventory = openDays.reduce((total, day) => total + day.inventory, 0);
+
+    return {
+        date: days[0].date,
+        is_available: inventory > 0,
+        inventory,
+        rate: Math.min(...sellable.map(day => day.rate)),
+        min_stay: Math.min(...sellable.map(day => day.min_stay)),
+        max_stay: Math.max(...sellable.map(day => day.max_stay ?? CHANNEL_DEFAULT_MAX_STAY)),
+        closed_to_arrival: sellable.every(day => day.closed_to_arrival),
+        closed_to_departure: sellable.every(day => day.closed_to_departure)
+    };
+};
+
+// Rooms covered by one mapping. directlyMapped holds the rooms with a room mapping of their own.
+const getMappingRooms = (rooms, mapping, directlyMapped) => (mapping.room_id
+    ? rooms.filter(room => room.id === mapping.room_id)
+    : rooms.filter(room => room.room_category_id === mapping.category_id && !directlyMapped.has(room.id)));
+
+const getDirectlyMapped = (mappings) => new Set(mappings.filter(mapping => mapping.room_id).map(mapping => mapping.room_id));
+
+// Rooms not covered by any active mapping, which sync leaves out
+const getUnmappedRooms = (rooms, mappings) => {
+    const activeMappings = mappings.filter(mapping => mapping.is_active);
+    const directlyMapped = getDirectlyMapped(activeMappings);
+    const covered = new Set(activeMappings.flatMap(mapping => getMappingRooms(rooms, mapping, directlyMapped).map(room => room.id)));
+
+    return rooms.filter(room => !covered.has(room.id));
+};
+
+// Group active rooms (with per-date `dates`) into the channel's room types.
+// Returns { units, unmappedRooms, emptyMappings } where each unit is
+// { mapping_id, ota_room_code, ota_rate_plan_code, room_name, room_ids, dates }.
+const buildARIUnits = (rooms, mappings) => {
+    const activeMappings = mappings.filter(mapping => mapping.is_active);
+    const directlyMapped = getDirectlyMapped(activeMappings);
+    const units = [];
+    const emptyMappings = [];
+
+    for (const mapping of activeMappings) {
+        const unitRooms = getMappingRooms(rooms, mapping, directlyMapped);
+
+        if (unitRooms.length === 0) {
+            emptyMappings.push(mapping);
+            continue;
+        }
+
+        units.push({
+            mapping_id: mapping.id,
+            ota_room_code: mapping.ota_room_code,
+            ota_rate_plan_code: mapping.ota_rate_plan_code,
+            room_name: mapping.room_id ? unitRooms[0].room_name : (mapping.category_name || unitRooms[0].room_name),
+            room_ids: unitRooms.map(room => room.id),
+            dates: unitRooms.length === 1
+                ? unitRooms[0].dates.map(day => ({ ...day, max_stay: day.max_stay ?? CHANNEL_DEFAULT_MAX_STAY }))
+                : unitRooms[0].dates.map((day, index) => mergeDays(unitRooms.map(room => room.dates[index])))
+        });
+    }
+
+    return {
+        units,
+        unmappedRooms: getUnmappedRooms(rooms, mappings),
+        emptyMappings
+    };
+};
+
+// Find the local room for a channel room code (and rate plan code, when the channel sends one).
+// For a category mapping the booking's current room is kept if it belongs to the category,
+// otherwise the first room free for the stay is chosen (or the first room, reported as an overlap).
+// Only rooms of the configuration's property are considered.
+// Returns the room row, or null when the code is not mapped.
+const resolveMappedRoom = async (config, otaRoomCode, otaRatePlanCode, checkInDate, checkOutDate, currentRoomId = null) => {
+    if (otaRoomCode === undefined || otaRoomCode === null || otaRoomCode === '') {
+        return null;
+    }
+
+    const mappings = await db.execute(
+        'SELECT * FROM ota_room_mappings WHERE ota_configuration_id = ? AND ota_room_code = ? AND is_active = TRUE',
+        [config.id, String(otaRoomCode)]
+    );
+
+    const ratePlanMappings = mappings.filter(mapping => String(mapping.ota_rate_plan_code) === String(otaRatePlanCode));
+    const candidates = ratePlanMappings.length > 0 ? ratePlanMappings : mappings;
+    const mapping = candidates.find(candidate => candidate.room_id) || candidates[0];
+
+    if (!mapping) {
+        return null;
+    }
+
+    if (mapping.room_id) {
+        const rooms = await db.execute('SELECT * FROM rooms WHERE id = ?', [mapping.room_id]);
+        return rooms[0] || null;
+    }
+
+    const rooms = await db.execute(`
+        SELECT * FROM rooms
+        WHERE room_category_id = ? AND is_active = TRUE
+        AND (? IS NULL OR property_id = ?)
+        AND id NOT IN (
+            SELECT room_id FROM ota_room_mappings
+            WHERE ota_configuration_id = ? AND room_id IS NOT NULL AND is_active = TRUE
+        )
+        ORDER BY id
+    `, [mapping.category_id, config.property_id ?? null, config.property_id ?? null, config.id]);
+
+    if (rooms.length === 0) {
+        return null;
+    }
+
+    const currentRoom = rooms.find(room => room.id === currentRoomId);
+    if (currentRoom) {
+        return currentRoom;
+    }
+
+    const quotes = await getStayQuotes(rooms, checkInDate, checkOutDate);
+    return rooms.find(room => quotes.get(room.id).is_available) || rooms[0];
+};
+
+module.exports = {
+    CHANNEL_DEFAULT_MAX_STAY,
+    getMappings,
+    getConfigurationRooms,
+    getUnmappedRooms,
+    buildARIUnits,
+    resolveMappedRoom
+};
@@ -0,0 +1,362 @@
+const xml2js = require('xml2js');
+const js2xmlparser = require('js2xmlparser');
+const moment = require('moment');
+const { buildUrl, basicAuth, sendRequest, toArray, groupDateRanges } = require('./utils');
+
+// OpenTravel Alliance (OTA_*) message builders and parsers, for any partner that
+// speaks the standard hotel messages instead of a proprietary API.
+
+const OTA_NAMESPACE = 'http://www.opentravel.org/OTA/2003/05';
+const OTA_VERSION = '1.0';
+
+// Longest HotelCode the OpenTravel schema accepts (StringLength1to64)
+const MAX_HOTEL_CODE_LENGTH = 64;
+
+// OpenTravel AgeQualifyingCode values used in GuestCount
+const AGE_QUALIFYING_ADULT = '10';
+const AGE_QUALIFYING_CHILD = '8';
+
+// Attributes common to every message root
+const buildRootAttributes = (echoToken) => ({
+    xmlns: OTA_NAMESPACE,
+    EchoToken: echoToken || `ota_${Date.now()}`,
+    TimeStamp: moment().toISOString(),
+    Version: OTA_VERSION
+});
+
+const buildStatusApplicationControl = (unit, range) => ({
+    '@': {
+        Start: range.start,
+        End: range.end,
+        InvTypeCode: unit.ota_room_code,
+        RatePlanCode: unit.ota_rate_plan_code
+    }
+});
+
+// Build OTA_HotelAvailNotifRQ: inventory, stay restrictions and open/closed status.
+// units are the mapped channel room types returned by getARIUnits().
+const buildHotelAvailNotifRQ = (hotelCode, units, options = {}) => {
+    const messages = units.flatMap(unit => {
+        const ranges = groupDateRanges(unit.dates, day => [
+            day.is_available, day.inventory, day.min_stay, day.max_stay,
+            day.closed_to_arrival, day.closed_to_departure
+        ].join('|'));
+
+        return ranges.flatMap(range => {
+            const { day } = range;
+            const control = buildStatusApplicationControl(unit, range);
+
+            // The schema allows one RestrictionStatus per message, so arrival and
+            // departure restrictions go out as separate messages for the same range
+            return [
+                {
+                    '@': { BookingLimit: day.is_available ? day.inventory : 0 },
+                    StatusApplicationControl: control,
+                    LengthsOfStay: {
+                        LengthOfStay: [
+                            { '@': { MinMaxMessageType: 'SetMinLOS', Time: day.min_stay, TimeUnit: 'Day' } },
+                            { '@': { MinMaxMessageType: 'SetMaxLOS', Time: day.max_stay, TimeUnit: 'Day' } }
+                        ]
+                    },
+                    RestrictionStatus: { '@': { Status: day.is_available ? 'Open' : 'Close' } }
+                },
+                {
+                    StatusApplicationControl: control,
+                    RestrictionStatus: { '@': { Restriction: 'Arrival', Status: day.closed_to_arrival ? 'Close' : 'Open' } }
+                },
+                {
+                    StatusApplicationControl: control,
+                    RestrictionStatus: { '@': { Restriction: 'Departure', Status: day.closed_to_departure ? 'Close' : 'Open' } }
+                }
+            ];
+        });
+    });
+
+    return js2xmlparser.parse('OTA_HotelAvailNotifRQ', {
+        '@': buildRootAttributes(options.echoToken),
+        AvailStatusMessages: {
+            '@': { HotelCode: String(hotelCode) },
+            AvailStatusMessage: messages
+        }
+    });
+};
+
+// Build OTA_HotelRateAmountNotifRQ: the nightly rate for each room and date range
+const buildHotelRateAmountNotifRQ = (hotelCode, units, options = {}) => {
+    const currencyCode = options.currencyCode || 'USD';
+
+    const messages = units.flatMap(unit => groupDateRanges(unit.dates, day => String(day.rate)).map(range => ({
+        StatusApplicationControl: buildStatusApplicationControl(unit, range),
+        Rates: {
+            Rate: {
+                BaseByGuestAmts: {
+                    BaseByGuestAmt: {
+                        '@': {
+                            AmountAfterTax: parseFloat(range.day.rate).toFixed(2),
+                            CurrencyCode: currencyCode
+                        }
+                    }
+                }
+            }
+        }
+    })));
+
+    return js2xmlparser.parse('OTA_HotelRateAmountNotifRQ', {
+        '@': buildRootAttributes(options.echoToken),
+        RateAmountMessages: {
+            '@': { HotelCode: String(hotelCode) },
+            RateAmountMessage: messages
+        }
+    });
+};
+
+const parseXml = (xml) => xml2js.parseStringPromise(xml, {
+    explicitArray: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+});
+
+// Read the <Errors>/<Warnings> blocks shared by every RS message
+const readMessages = (container, elementName) => toArray(container && container[elementName]).map(item => {
+    if (typeof item === 'string') {
+        return item;
+    }
+    const attributes = item.$ || {};
+    return item._ || attributes.ShortText || attributes.Code || 'Unknown error';
+});
+
+// Parse a notification response. Returns { success, echo_token, errors, warnings }.
+const parseNotifResponse = async (xml, rootName) => {
+    const parsed = await parseXml(xml);
+    const root = parsed && parsed[rootName];
+
+    if (!root) {
+        throw new Error(`Expected ${rootName} response`);
+    }
+
+    const errors = readMessages(root.Errors, 'Error');
+
+    return {
+        success: root.Success !== undefined && errors.length === 0,
+        echo_token: root.$ ? root.$.EchoToken : undefined,
+        errors,
+        warnings: readMessages(root.Warnings, 'Warning')
+    };
+};
+
+// Build OTA_PingRQ, used to check connectivity and credentials
+const buildPingRQ = (echoData, options = {}) => js2xmlparser.parse('OTA_PingRQ', {
+    '@': buildRootAttributes(options.echoToken),
+    EchoData: echoData
+});
+
+const parsePingRS = (xml) => parseNotifResponse(xml, 'OTA_PingRS');
+
+const parseHotelAvailNotifRS = (xml) => parseNotifResponse(xml, 'OTA_HotelAvailNotifRS');
+
+const parseHotelRateAmountNotifRS = (xml) => parseNotifResponse(xml, 'OTA_HotelRateAmountNotifRS');
+
+// OpenTravel ResStatus values reduced to new/modified/cancelled
+const normalizeResStatus = (status) => {
+    const value = String(status || '').toLowerCase();
+
+    if (value.includes('cancel')) {
+        return 'cancelled';
+    }
+    if (value.includes('modif')) {
+        return 'modified';
+    }
+    return 'new';
+};
+
+const sumGuestCounts = (guestCounts, ageQualifyingCode) => toArray(guestCounts && guestCounts.GuestCount)
+    .filter(count => (count.$ || {}).AgeQualifyingCode === ageQualifyingCode)
+    .reduce((total, count) => total + (parseInt(count.$.Count) || 0), 0);
+
+// Convert a <HotelReservation> element to the common reservation shape
+const parseHotelReservation = (reservation) => {
+    const attributes = reservation.$ || {};
+    const roomStay = toArray(reservation.RoomStays && reservation.RoomStays.RoomStay)[0] || {};
+    const roomType = toArray(roomStay.RoomTypes && roomStay.RoomTypes.RoomType)[0] || {};
+    const roomRate = toArray(roomStay.RoomRates && roomStay.RoomRates.RoomRate)[0] || {};
+    const ratePlan = toArray(roomStay.RatePlans && roomStay.RatePlans.RatePlan)[0] || {};
+    const timeSpan = (roomStay.TimeSpan && roomStay.TimeSpan.$) || {};
+    const total = (roomStay.Total && roomStay.Total.$) || {};
+    const globalTotal = (reservation.ResGlobalInfo && reservation.ResGlobalInfo.Total && reservation.ResGlobalInfo.Total.$) || {};
+    const uniqueId = toArray(reservation.UniqueID)[0];
+
+    const resGuest = toArray(reservation.ResGuests && reservation.ResGuests.ResGuest)[0] || {};
+    const profile = toArray(resGuest.Profiles && resGuest.Profiles.ProfileInfo)[0] || {};
+    const customer = (profile.Profile && profile.Profile.Customer) || {};
+    const personName = customer.PersonName || {};
+    const telephone = toArray(customer.Telephone)[0];
+    const email = toArray(customer.Email)[0];
+
+    const specialRequest = toArray(roomStay.SpecialRequests && roomStay.SpecialRequests.SpecialRequest)[0];
+    const guestCounts = roomStay.GuestCounts || reservation.GuestCounts;
+    const adults = sumGuestCounts(guestCounts, AGE_QUALIFYING_ADULT);
+    const amount = total.AmountAfterTax ?? total.AmountBeforeTax ?? globalTotal.AmountAfterTax ?? globalTotal.AmountBeforeTax;
+
+    return {
+        ota_reservation_id: uniqueId && uniqueId.$ ? uniqueId.$.ID : undefined,
+        status: normalizeResStatus(attributes.ResStatus),
+        ota_room_code: roomType.$ ? roomType.$.RoomTypeCode : (roomRate.$ ? roomRate.$.RoomTypeCode : undefined),
+        ota_rate_plan_code: roomRate.$ ? roomRate.$.RatePlanCode : (ratePlan.$ ? ratePlan.$.RatePlanCode : undefined),
+        check_in_date: timeSpan.Start,
+        check_out_date: timeSpan.End,
+        adults: adults || 1,
+        children: sumGuestCounts(guestCounts, AGE_QUALIFYING_CHILD),
+        total_amount: amount,
+        special_requests: specialRequest
+            ? (typeof specialRequest.Text === 'object' ? specialRequest.Text._ : specialRequest.Text)
+            : undefined,
+        customer: {
+            first_name: toArray(personName.GivenName)[0],
+            last_name: personName.Surname,
+            email: typeof email === 'object' ? email._ : email,
+            phone: telephone && telephone.$ ? telephone.$.PhoneNumber : undefined
+        }
+    };
+};
+
+// Parse OTA_HotelResNotifRQ. Returns { hotel_id, echo_token, reservations }.
+const parseHotelResNotifRQ = async (xml) => {
+    const parsed = await parseXml(xml);
+    const root = parsed && parsed.OTA_HotelResNotifRQ;
+
+    if (!root) {
+        throw new Error('Expected OTA_HotelResNotifRQ');
+    }
+
+    const hotelReservations = toArray(root.HotelReservations && root.HotelReservations.HotelReservation);
+    const firstStay = hotelReservations.length > 0
+        ? toArray(hotelReservations[0].RoomStays && hotelReservations[0].RoomStays.RoomStay)[0]
+        : null;
+    const propertyInfo = firstStay && firstStay.BasicPropertyInfo ? firstStay.BasicPropertyInfo.$ : null;
+
+    return {
+        hotel_id: propertyInfo ? propertyInfo.HotelCode : undefined,
+        echo_token: root.$ ? root.$.EchoToken : undefined,
+        reservations: hotelReservations.map(parseHotelReservation)
+    };
+};
+
+// Describe the POST of an OpenTravel message to {endpoint_url}/{message name}
+const buildMessageRequest = (config, messageName, xmlData) => {
+    const headers = { 'Content-Type': 'application/xml' };
+    if (config.api_username) {
+        headers['Authorization'] = basicAuth(config);
+    }
+
+    return { method: 'POST', url: buildUrl(config.endpoint_url, messageName), headers, body: xmlData };
+};
+
+// POST an OpenTravel message and parse the RS.
+// Throws with the partner's <Errors> when the response has no <Success/>.
+const postMessage = async (config, messageName, xmlData, parseResponse, timeout = 30000) => {
+    const response = await sendRequest(buildMessageRequest(config, messageName, xmlData), timeout);
+
+    const result = await parseResponse(response.data);
+    if (!result.success) {
+        throw new Error(`${messageName} rejected: ${result.errors.join('; ') || 'no Success element'}`);
+    }
+
+    return result;
+};
+
+// Check a configuration's hotel_id as a HotelCode. Returns an error message, or null.
+const validateHotelCode = (hotelCode) => (String(hotelCode).length > MAX_HOTEL_CODE_LENGTH
+    ? `must be at most ${MAX_HOTEL_CODE_LENGTH} characters`
+    : null);
+
+// Build the pair of ARI messages for one push. Returns { availability, rates } XML.
+const buildARIMessages = (hotelCode, units, options = {}) => {
+    // HotelCode is required; without it the messages would name the hotel "null"
+    if (hotelCode === undefined || hotelCode === null || String(hotelCode).trim() === '') {
+        throw new Error('OpenTravel ARI messages need a hotel code: set the configuration\'s hotel_id');
+    }
+
+    return {
+        availability: buildHotelAvailNotifRQ(hotelCode, units, options),
+        rates: buildHotelRateAmountNotifRQ(hotelCode, units, options)
+    };
+};
+
+// The requests pushARIMessages() sends for messages built by buildARIMessages()
+const buildARIRequests = (config, messages) => [
+    buildMessageRequest(config, 'OTA_HotelAvailNotif', messages.availability),
+    buildMessageRequest(config, 'OTA_HotelRateAmountNotif', messages.rates)
+];
+
+// Push ARI messages built by buildARIMessages(). Returns { data, warnings }.
+const pushARIMessages = async (config, messages) => {
+    const availResult = await postMessage(config, 'OTA_HotelAvailNotif', messages.availability, parseHotelAvailNotifRS);
+    const rateResult = await postMessage(config, 'OTA_HotelRateAmountNotif', messages.rates, parseHotelRateAmountNotifRS);
+
+    return {
+        data: { availability: availResult, rates: rateResult },
+        warnings: [...availResult.warnings, ...rateResult.warnings]
+    };
+};
+
+// Check connectivity and credentials with OTA_PingRQ
+const ping = (config) => postMessage(config, 'OTA_Ping', buildPingRQ('test_connection'), parsePingRS, 15000);
+
+// Check whether an XML document is an OpenTravel reservation notification
+const isHotelResNotifRQ = (xml) => typeof xml === 'string' && /<(\w+:)?OTA_HotelResNotifRQ[\s>]/.test(xml);
+
+// Build OTA_HotelResNotifRS acknowledging each imported reservation.
+// outcomes are the per-reservation results from importReservations().
+const buildHotelResNotifRS = (outcomes, options = {}) => {
+    const failed = outcomes.filter(outcome => outcome.action === 'failed');
+    const errorMessages = options.errorMessage
+        ? [options.errorMessage]
+        : failed.map(outcome => `${outcome.ota_reservation_id}: ${outcome.error}`);
+
+    const body = {
+        '@': buildRootAttributes(options.echoToken)
+    };
+
+    if (errorMessages.length > 0) {
+        // Type 3 = business rule error in the OpenTravel EWT code list
+        body.Errors = {
+            Error: errorMessages.map(message => ({ '@': { Type: '3', ShortText: message } }))
+        };
+    } else {
+        body.Success = '';
+    }
+
+    const accepted = outcomes.filter(outcome => outcome.action !== 'failed' && outcome.booking_id);
+    if (accepted.length > 0) {
+        body.HotelReservations = {
+            HotelReservation: accepted.map(outcome => ({
+                '@': { ResStatus: outcome.action === 'cancelled' ? 'Cancelled' : 'Book' },
+                UniqueID: { '@': { Type: '14', ID: String(outcome.ota_reservation_id) } },
+                ResGlobalInfo: {
+                    HotelReservationIDs: {
+                        HotelReservationID: { '@': { ResID_Type: '14', ResID_Value: String(outcome.booking_id) } }
+                    }
+                }
+            }))
+        };
+    }
+
+    return js2xmlparser.parse('OTA_HotelResNotifRS', body);
+};
+
+module.exports = {
+    OTA_NAMESPACE,
+    buildPingRQ,
+    parsePingRS,
+    buildHotelAvailNotifRQ,
+    buildHotelRateAmountNotifRQ,
+    parseHotelAvailNotifRS,
+    parseHotelRateAmountNotifRS,
+    parseHotelResNotifRQ,
+    isHotelResNotifRQ,
+    buildHotelResNotifRS,
+    validateHotelCode,
+    buildARIMessages,
+    buildARIRequests,
+    pushARIMessages,
+    ping
+};
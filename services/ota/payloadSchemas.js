@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { validateXML, memoryPages } = require('xmllint-wasm');
+
+// Validation of outbound payloads against the schema a channel publishes for them, so a
+// malformed document is caught before it is sent instead of when the channel rejects it.
+// A schema is declared as { type: 'xsd' | 'json', file } (see the adapter registry) and
+// checks every request body: XML bodies against an XML Schema with libxml2's xmllint
+// (xmllint-wasm), JSON bodies against a JSON Schema (draft-07) with Ajv.
+
+const SCHEMA_DIRECTORY = path.join(__dirname, 'schemas');
+
+const SCHEMA_TYPES = ['xsd', 'json'];
+
+// Errors reported per payload; a broken builder can produce thousands of the same one
+const MAX_VALIDATION_ERRORS = 20;
+
+// A year of ARI for a large property is a few MB of XML; xmllint's default 32 MiB is not enough
+const XMLLINT_MAX_MEMORY_PAGES = 256 * memoryPages.MiB;
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv, ['date', 'date-time']);
+
+// Path of a schema file shipped in services/ota/schemas
+const schemaFile = (fileName) => path.join(SCHEMA_DIRECTORY, fileName);
+
+// Check a schema declaration. Returns an error message, or null when it is valid.
+const checkSchemaDeclaration = (schema) => {
+    if (!schema || !SCHEMA_TYPES.includes(schema.type)) {
+        return `schema type must be one of: ${SCHEMA_TYPES.join(', ')}`;
+    }
+    if (typeof schema.file !== 'string' || !fs.existsSync(schema.file)) {
+        return `schema file not found: ${schema.file}`;
+    }
+    return null;
+};
+
+// Loaded schemas by file, on first use: a compiled Ajv validator for JSON Schemas, the
+// schema source for XSDs (xmllint compiles it on every run)
+const loadedSchemas = new Map();
+
+const loadSchema = (schema) => {
+    if (!loadedSchemas.has(schema.file)) {
+        loadedSchemas.set(schema.file, (async () => {
+            const source = await fs.promises.readFile(schema.file, 'utf8');
+            return schema.type === 'json'
+                ? ajv.compile(JSON.parse(source))
+                : { fileName: path.basename(schema.file), contents: source };
+        })().catch(error => {
+            loadedSchemas.delete(schema.file);
+            throw new Error(`Cannot load schema ${path.basename(schema.file)}: ${error.message}`);
+        }));
+    }
+    return loadedSchemas.get(schema.file);
+};
+
+// Validate a JSON value with a compiled Ajv validator. Returns a list of error messages.
+const validateJson = (validate, value) => {
+    if (validate(value)) {
+        return [];
+    }
+    return validate.errors.map(error => {
+        const details = error.keyword === 'additionalProperties' ? ` (${error.params.additionalProperty})` : '';
+        return `${error.instancePath || '/'}: ${error.message}${details}`;
+    });
+};
+
+// Validate an XML document against an XSD with xmllint. Returns a list of error messages,
+// as "line N: message"; throws when xmllint cannot run the schema.
+const validateXml = async (xsd, xml) => {
+    let result;
+    try {
+        result = await validateXML({
+            xml: { fileName: 'payload.xml', contents: xml },
+            schema: xsd,
+            maxMemoryPages: XMLLINT_MAX_MEMORY_PAGES
+        });
+    } catch (error) {
+        throw new Error(`Cannot load schema ${xsd.fileName}: ${error.message.trim()}`);
+    }
+
+    return result.errors.map(error => {
+        const message = error.message.replace(/Schemas validity error : /, '');
+        return error.loc ? `line ${error.loc.lineNumber}: ${message}` : message;
+    });
+};
+
+// Validate one payload (an XML string, or a JSON value or string) against a schema
+// declaration. Returns the validation errors, at most MAX_VALIDATION_ERRORS of them;
+// throws when the schema itself cannot be loaded.
+const validatePayload = async (schema, body) => {
+    const loaded = await loadSchema(schema);
+    let errors;
+
+    if (schema.type === 'json') {
+        let value = body;
+        if (typeof body === 'string') {
+            try {
+                value = JSON.parse(body);
+            } catch (error) {
+                return [`not valid JSON: ${error.message}`];
+            }
+        }
+        errors = validateJson(loaded, value);
+    } else {
+        if (typeof body !== 'string') {
+            return ['expected an XML document'];
+        }
+        errors = await validateXml(loaded, body);
+    }
+
+    return errors.length > MAX_VALIDATION_ERRORS
+        ? [...errors.slice(0, MAX_VALIDATION_ERRORS), `... and ${errors.length - MAX_VALIDATION_ERRORS} more error(s)`]
+        : errors;
+};
+
+// Validate the requests a push would send (see buildPushRequests) against the adapter's
+// payloadSchema. Returns [{ request, errors }] for every request; errors are empty for
+// adapters without a schema.
+const validatePushRequests = async (adapter, requests) => {
+    const results = [];
+    for (const request of requests) {
+        results.push({
+            request,
+            errors: adapter.payloadSchema ? await validatePayload(adapter.payloadSchema, request.body) : []
+        });
+    }
+    return results;
+};
+
+// Summarize failed validation results for a sync message
+const describeValidationErrors = (results) => results
+    .filter(result => result.errors.length > 0)
+    .map(result => `${result.request.method} ${result.request.url}: ${result.errors.join('; ')}`)
+    .join(' | ');
+
+module.exports = {
+    schemaFile,
+    checkSchemaDeclaration,
+    validatePayload,
+    validatePushRequests,
+    describeValidationErrors
+};
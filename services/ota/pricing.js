@@ -0,0 +1,68 @@
+const db = require('../../config/database');
+
+// What a channel is sent for a night: the local rate with the configuration's markup
+// (a percentage, or a fixed amount in the default currency), converted to its currency
+// with currencies.exchange_rate (units per one unit of the default currency), then
+// rounded to its rounding increment.
+
+const RATE_ADJUSTMENT_TYPES = ['percentage', 'fixed'];
+const RATE_ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+
+// Find the currency a configuration is priced in. Returns { currencyCode, exchangeRate },
+// exchangeRate converting default currency amounts; throws when the configured
+// currency is unknown or inactive.
+const getChannelCurrency = async (config) => {
+    const currencies = await db.execute(
+        'SELECT code, exchange_rate, is_default, is_active FROM currencies WHERE is_default = TRUE OR code = ?',
+        [config.currency_code || null]
+    );
+    const defaultCurrency = currencies.find(currency => currency.is_default);
+    const defaultCode = defaultCurrency ? defaultCurrency.code : 'USD';
+
+    if (!config.currency_code || config.currency_code === defaultCode) {
+        return { currencyCode: defaultCode, exchangeRate: 1 };
+    }
+
+    const currency = currencies.find(candidate => candidate.code === config.currency_code && candidate.is_active);
+    if (!currency) {
+        throw new Error(`Currency ${config.currency_code} is not an active currency`);
+    }
+
+    const defaultRate = defaultCurrency ? parseFloat(defaultCurrency.exchange_rate) || 1 : 1;
+    return { currencyCode: currency.code, exchangeRate: parseFloat(currency.exchange_rate) / defaultRate };
+};
+
+// Round an amount to a multiple of `increment` (1 by default), then to cents
+const roundRate = (amount, rounding, increment) => {
+    const step = parseFloat(increment) > 0 ? parseFloat(increment) : 1;
+    const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[rounding];
+
+    // Drop floating point noise first, so a 15% markup on 100 rounds down to 115 and not 114
+    const rounded = round ? round(Number((amount / step).toFixed(6))) * step : amount;
+    return Math.round(rounded * 100) / 100;
+};
+
+// The rate a channel is sent for a local nightly rate. A discount can take it to 0 or
+// below; callers must not send such a rate (a sync fails the room type instead).
+const getChannelRate = (rate, config, currency) => {
+    const adjustment = parseFloat(config.rate_adjustment_value) || 0;
+    const adjusted = config.rate_adjustment_type === 'fixed'
+        ? parseFloat(rate) + adjustment
+        : parseFloat(rate) * (1 + adjustment / 100);
+
+    return roundRate(adjusted * currency.exchangeRate, config.rate_rounding, config.rate_rounding_increment);
+};
+
+// Copy of ARI units (see buildARIUnits) with every rate priced for the channel
+const applyChannelPricing = (units, config, currency) => units.map(unit => ({
+    ...unit,
+    dates: unit.dates.map(day => ({ ...day, rate: getChannelRate(day.rate, config, currency) }))
+}));
+
+module.exports = {
+    RATE_ADJUSTMENT_TYPES,
+    RATE_ROUNDING_MODES,
+    getChannelCurrency,
+    getChannelRate,
+    applyChannelPricing
+};
@@ -0,0 +1,279 @@
+const moment = require('moment');
+const db = require('../../config/database');
+const { generateBookingReference, upsertCustomer } = require('../bookings');
+const { getStayQuote } = require('../availability');
+const { recordStayChange } = require('../ariJournal');
+const { logSyncOperation, buildLogDetails } = require('./sync');
+const { requireAdapter, getBookingSource } = require('./adapters');
+const { resolveMappedRoom } = require('./mappings');
+const { decryptConfiguration } = require('./credentials');
+const { enterCircuit, recordCircuitResult } = require('./circuitBreaker');
+const { captureExchanges } = require('./utils');
+
+// Create, modify or cancel the local booking for one channel reservation.
+// Returns { action, booking_id, warning }.
+//
+// The same reservation can be imported twice at once (a webhook redelivered while the
+// first delivery is still being applied, or a pull running alongside it). Both find no
+// booking, but unique_ota_reservation lets only one insert it; the other is applied again
+// over the booking that won, as a modification.
+const importReservation = async (config, reservation, isRetry = false) => {
+    if (!reservation.ota_reservation_id) {
+        throw new Error('Reservation ID is missing');
+    }
+
+    const otaReservationId = String(reservation.ota_reservation_id);
+    const existingBookings = await db.execute(
+        'SELECT * FROM bookings WHERE ota_configuration_id = ? AND ota_reservation_id = ?',
+        [config.id, otaReservationId]
+    );
+    const booking = existingBookings[0];
+
+    // Cancellation
+    if (reservation.status === 'cancelled') {
+        if (!booking) {
+            return { action: 'skipped', booking_id: null };
+        }
+        if (booking.booking_status === 'cancelled') {
+            return { action: 'unchanged', booking_id: booking.id };
+        }
+
+        // A concurrent import may have cancelled it since the lookup
+        const cancelResult = await db.execute(
+            'UPDATE bookings SET booking_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND booking_status != ?',
+            ['cancelled', booking.id, 'cancelled']
+        );
+        if (cancelResult.affectedRows === 0) {
+            return { action: 'unchanged', booking_id: booking.id };
+        }
+        await recordStayChange(booking, 'ota_reservation');
+
+        return { action: 'cancelled', booking_id: booking.id };
+    }
+
+    // Validate stay
+    const checkIn = moment(reservation.check_in_date, moment.ISO_8601, true);
+    const checkOut = moment(reservation.check_out_date, moment.ISO_8601, true);
+
+    if (!checkIn.isValid() || !checkOut.isValid() || checkIn.isSameOrAfter(checkOut)) {
+        throw new Error(`Reservation ${otaReservationId} has invalid stay dates`);
+    }
+
+    // Map the channel's room type back to a local room, keeping the booked room where possible
+    const room = await resolveMappedRoom(
+        config,
+        reservation.ota_room_code,
+        reservation.ota_rate_plan_code,
+        checkIn.format('YYYY-MM-DD'),
+        checkOut.format('YYYY-MM-DD'),
+        booking ? booking.room_id : null
+    );
+    if (!room) {
+        throw new Error(`Reservation ${otaReservationId} references unmapped room code ${reservation.ota_room_code}`);
+    }
+
+    const stay = {
+        room_id: room.id,
+        check_in_date: checkIn.format('YYYY-MM-DD'),
+        check_out_date: checkOut.format('YYYY-MM-DD'),
+        adults: reservation.adults,
+        children: reservation.children,
+        special_requests: reservation.special_requests ?? null
+    };
+
+    // Use the channel's amount when given, otherwise price the stay locally
+    const channelAmount = parseFloat(reservation.total_amount);
+    stay.total_amount = !isNaN(channelAmount)
+        ? channelAmount.toFixed(2)
+        : (await getStayQuote(room, stay.check_in_date, stay.check_out_date)).subtotal.toFixed(2);
+
+    // A channel has already sold the room, so overlaps are imported but reported
+    const conflicts = await db.execute(`
+        SELECT booking_reference FROM bookings
+        WHERE room_id = ?
+        AND booking_status IN ('pending', 'confirmed')
+        AND NOT (check_out_date <= ? OR check_in_date >= ?)
+        AND id != ?
+    `, [stay.room_id, stay.check_in_date, stay.check_out_date, booking ? booking.id : 0]);
+
+    const warning = conflicts.length > 0
+        ? `Reservation ${otaReservationId} overlaps booking(s) ${conflicts.map(c => c.booking_reference).join(', ')}`
+        : null;
+
+    // Modification
+    if (booking) {
+        const isUnchanged = booking.booking_status !== 'cancelled'
+            && booking.room_id === stay.room_id
+            && moment(booking.check_in_date).format('YYYY-MM-DD') === stay.check_in_date
+            && moment(booking.check_out_date).format('YYYY-MM-DD') === stay.check_out_date
+            && booking.adults === stay.adults
+            && booking.children === stay.children
+            && parseFloat(booking.total_amount).toFixed(2) === stay.total_amount
+            && (booking.special_requests ?? null) === stay.special_requests;
+
+        if (isUnchanged) {
+            return { action: 'unchanged', booking_id: booking.id };
+        }
+
+        await db.execute(`
+            UPDATE bookings
+            SET room_id = ?, check_in_date = ?, check_out_date = ?, adults = ?, children = ?,
+                total_amount = ?, special_requests = ?, booking_status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [stay.room_id, stay.check_in_date, stay.check_out_date, stay.adults, stay.children,
+            stay.total_amount, stay.special_requests, 'confirmed', booking.id]);
+
+        await recordStayChange(booking, 'ota_reservation');
+        await recordStayChange(stay, 'ota_reservation');
+
+        return { action: 'modified', booking_id: booking.id, warning };
+    }
+
+    // New reservation
+    const source = getBookingSource(config.ota_name);
+    const customer = reservation.customer || {};
+    const customerId = await upsertCustomer({
+        ...customer,
+        first_name: customer.first_name || 'Guest',
+        last_name: customer.last_name || otaReservationId,
+        // Some channels withhold guest emails; keep one customer per reservation in that case
+        email: customer.email || `${source}-${otaReservationId}@ota.invalid`
+    });
+
+    const bookingReference = generateBookingReference();
+    let bookingResult;
+    try {
+        bookingResult = await db.execute(`
+            INSERT INTO bookings (booking_reference, customer_id, room_id, check_in_date, check_out_date, adults, children,
+                                  total_amount, booking_status, special_requests, source, ota_configuration_id, ota_reservation_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [bookingReference, customerId, stay.room_id, stay.check_in_date, stay.check_out_date, stay.adults, stay.children,
+            stay.total_amount, 'confirmed', stay.special_requests, source, config.id, otaReservationId]);
+    } catch (error) {
+        // Another import inserted the reservation since the lookup
+        if (error.code === 'ER_DUP_ENTRY' && !isRetry) {
+            return importReservation(config, reservation, true);
+        }
+        throw error;
+    }
+
+    await recordStayChange(stay, 'ota_reservation');
+
+    return { action: 'created', booking_id: bookingResult.insertId, warning };
+};
+
+// Apply a batch of channel reservations and log the run with sync_type = 'bookings'
+// (with the log `details` of the pull that fetched them, see logSyncOperation).
+// Each reservation is applied independently, so one bad record does not block the rest.
+const importReservations = async (config, reservations, label = 'Reservation import', details = {}) => {
+    const results = { created: 0, modified: 0, cancelled: 0, unchanged: 0, skipped: 0, failed: 0 };
+    const outcomes = [];
+    const errors = [];
+    const warnings = [];
+
+    for (const reservation of reservations) {
+        try {
+            const result = await importReservation(config, reservation);
+            results[result.action]++;
+            outcomes.push({ ota_reservation_id: reservation.ota_reservation_id, ...result });
+            if (result.warning) {
+                warnings.push(result.warning);
+            }
+        } catch (error) {
+            results.failed++;
+            outcomes.push({ ota_reservation_id: reservation.ota_reservation_id, action: 'failed', error: error.message });
+            errors.push(error.message);
+        }
+    }
+
+    let status = 'success';
+    if (results.failed > 0) {
+        status = results.failed === reservations.length ? 'failed' : 'partial';
+    }
+
+    const message = `${label}: ${results.created} created, ${results.modified} modified, ` +
+        `${results.cancelled} cancelled, ${results.failed} failed` +
+        (errors.length > 0 ? `. Errors: ${errors.join('; ')}` : '') +
+        (warnings.length > 0 ? `. Warnings: ${warnings.join('; ')}` : '');
+
+    await logSyncOperation(config.id, 'bookings', status, message, reservations.length, details);
+
+    return {
+        success: status !== 'failed',
+        status,
+        message,
+        results,
+        outcomes,
+        errors,
+        warnings
+    };
+};
+
+// Pull reservations changed since the last successful import and apply them locally.
+// Fails without calling the channel while its circuit is open (see circuitBreaker).
+const performReservationImport = async (config) => {
+    const startedAt = moment();
+    const exchanges = [];
+    let channelConfig = null;
+
+    try {
+        const adapter = requireAdapter(config.ota_name);
+
+        // Push-only channels deliver reservations through the webhook instead
+        if (!adapter.fetchReservations) {
+            return {
+                success: true,
+                skipped: true,
+                message: `${adapter.label} does not support reservation pull; reservations arrive by webhook`
+            };
+        }
+
+        const circuit = await enterCircuit(config.id);
+        if (!circuit.allowed) {
+            const message = `Reservation import failed: the channel is down, not calling it again before ${circuit.retry_at}`;
+            await logSyncOperation(config.id, 'bookings', 'failed', message, 0);
+            return { success: false, circuit_open: true, message };
+        }
+
+        let reservations;
+        try {
+            channelConfig = decryptConfiguration(config);
+            reservations = await captureExchanges(exchanges,
+                () => adapter.fetchReservations(channelConfig, config.last_reservation_sync_at));
+        } catch (error) {
+            await recordCircuitResult(config.id, error);
+            throw error;
+        }
+        await recordCircuitResult(config.id);
+
+        const result = await importReservations(config, reservations, 'Reservation import',
+            buildLogDetails(exchanges, channelConfig, startedAt.valueOf()));
+
+        // Only move past reservations once all of them are in: after a partial import the
+        // failed ones are pulled again next time (re-importing the others changes nothing)
+        if (result.status === 'success') {
+            await db.execute(
+                'UPDATE ota_configurations SET last_reservation_sync_at = ? WHERE id = ?',
+                [startedAt.format('YYYY-MM-DD HH:mm:ss'), config.id]
+            );
+        }
+
+        return result;
+
+    } catch (error) {
+        console.error('Reservation import error:', error);
+        await logSyncOperation(config.id, 'bookings', 'failed', `Reservation import failed: ${error.message}`, 0,
+            buildLogDetails(exchanges, channelConfig, startedAt.valueOf()));
+
+        return {
+            success: false,
+            message: `Reservation import failed: ${error.message}`
+        };
+    }
+};
+
+module.exports = {
+    importReservation,
+    importReservations,
+    performReservationImport
+};
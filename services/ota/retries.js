@@ -0,0 +1,81 @@
+const db = require('../../config/database');
+
+// A failed ARI push is kept as a retry job, one open job per configuration, and retried
+// with exponential backoff. Once out of attempts the job moves to the dead-letter list
+// for a manager to replay or discard. Jobs hold no payload: a failed push leaves the
+// delta watermark in place (a failed full push clears it), so each retry rebuilds and
+// sends the current ARI.
+
+// Attempts per job, counting the push that failed first
+const MAX_ATTEMPTS = parseInt(process.env.OTA_RETRY_MAX_ATTEMPTS) || 6;
+
+// Delay before the first retry, doubled on every further failure up to MAX_RETRY_DELAY_MINUTES
+const BASE_RETRY_DELAY_MINUTES = parseInt(process.env.OTA_RETRY_BASE_DELAY_MINUTES) || 1;
+const MAX_RETRY_DELAY_MINUTES = 60;
+
+const getRetryDelayMinutes = (attempts) => Math.min(
+    BASE_RETRY_DELAY_MINUTES * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MINUTES
+);
+
+const getRetryJob = async (jobId) => {
+    const jobs = await db.execute('SELECT * FROM ota_retry_jobs WHERE id = ?', [jobId]);
+    return jobs[0] || null;
+};
+
+// Record a failed push: open a retry job, or count another attempt on the open one.
+// Returns the job as stored.
+const recordFailedPush = async (configId, errorMessage) => {
+    const openJobs = await db.execute(
+        'SELECT * FROM ota_retry_jobs WHERE ota_configuration_id = ? AND status = ?',
+        [configId, 'pending']
+    );
+
+    if (openJobs.length === 0) {
+        const result = await db.execute(
+            'INSERT INTO ota_retry_jobs (ota_configuration_id, status, attempts, max_attempts, next_attempt_at, last_error) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)',
+            [configId, 'pending', 1, MAX_ATTEMPTS, getRetryDelayMinutes(1), errorMessage]
+        );
+        return getRetryJob(result.insertId);
+    }
+
+    const job = openJobs[0];
+    const attempts = job.attempts + 1;
+
+    if (attempts >= job.max_attempts) {
+        await db.execute(
+            'UPDATE ota_retry_jobs SET status = ?, attempts = ?, next_attempt_at = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            ['dead', attempts, errorMessage, job.id]
+        );
+    } else {
+        await db.execute(
+            'UPDATE ota_retry_jobs SET attempts = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE), last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [attempts, getRetryDelayMinutes(attempts), errorMessage, job.id]
+        );
+    }
+
+    return getRetryJob(job.id);
+};
+
+// Close the open retry job once a push for the configuration succeeds
+const resolveRetryJobs = (configId) => db.execute(
+    'DELETE FROM ota_retry_jobs WHERE ota_configuration_id = ? AND status = ?',
+    [configId, 'pending']
+);
+
+// Open jobs whose next attempt is due, for active configurations
+const getDueRetryJobs = () => db.execute(`
+    SELECT j.*
+    FROM ota_retry_jobs j
+    JOIN ota_configurations c ON j.ota_configuration_id = c.id
+    WHERE j.status = ? AND j.next_attempt_at <= NOW() AND c.is_active = TRUE
+    ORDER BY j.next_attempt_at
+`, ['pending']);
+
+module.exports = {
+    MAX_ATTEMPTS,
+    getRetryJob,
+    recordFailedPush,
+    resolveRetryJobs,
+    getDueRetryJobs
+};
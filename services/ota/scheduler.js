@@ -0,0 +1,138 @@
+const cron = require('node-cron');
+const moment = require('moment');
+const db = require('../../config/database');
+const { performOTASync } = require('./sync');
+const { performReservationImport } = require('./reservations');
+const { getDueRetryJobs } = require('./retries');
+const { CIRCUIT_BLOCKED_COLUMN } = require('./circuitBreaker');
+const { runDueICalImports } = require('./ical');
+
+// How often the scheduler checks for due configurations (every minute by default)
+const SCHEDULER_CRON = process.env.OTA_SCHEDULER_CRON || '* * * * *';
+
+let task = null;
+let lastTickAt = null;
+
+// Work out when a configuration is next due, based on its last sync and frequency.
+// A sync_frequency of 0 (or less) disables automatic sync for that configuration.
+const getNextRunAt = (config) => {
+    const frequency = parseInt(config.sync_frequency);
+
+    if (!config.is_active || !frequency || frequency <= 0) {
+        return null;
+    }
+
+    if (!config.last_sync_at) {
+        return moment();
+    }
+
+    return moment(config.last_sync_at).add(frequency, 'minutes');
+};
+
+// Selected with configuration rows: whether a sync currently holds the lock
+const SYNC_IN_PROGRESS_COLUMN = '(sync_lock_token IS NOT NULL AND sync_locked_until > NOW()) AS sync_in_progress';
+
+// Run every active configuration that is due, not already mid-sync and not cut off by an
+// open circuit: push ARI, then pull any reservations made on the channel since the last run.
+// Failed pushes whose retry is due are pushed again on the same tick, and room iCal
+// feeds that are due are imported alongside.
+// Configurations are re-read on each tick, so changes made through the API
+// (frequency, activation, credentials) take effect without a restart.
+const runDueSyncs = async () => {
+    lastTickAt = moment();
+
+    try {
+        const configs = await db.execute(`SELECT *, ${SYNC_IN_PROGRESS_COLUMN}, ${CIRCUIT_BLOCKED_COLUMN} FROM ota_configurations WHERE is_active = TRUE`);
+        const retryConfigIds = new Set((await getDueRetryJobs()).map(job => job.ota_configuration_id));
+
+        const runnableConfigs = configs.filter(config => !config.sync_in_progress && !config.circuit_blocked);
+
+        const dueConfigs = runnableConfigs.filter(config => {
+            const nextRunAt = getNextRunAt(config);
+            return nextRunAt && nextRunAt.isSameOrBefore(lastTickAt);
+        });
+
+        const retryConfigs = runnableConfigs.filter(config => retryConfigIds.has(config.id) && !dueConfigs.includes(config));
+
+        await Promise.all([
+            ...dueConfigs.map(async (config) => {
+                const result = await performOTASync(config);
+                if (result.status === 'skipped') {
+                    return;
+                }
+                if (!result.success) {
+                    console.error(`Scheduled sync failed for ${config.ota_name}:`, result.message);
+                }
+                
+                const importResult = await performReservationImport(config);
+                if (!importResult.success) {
+                    console.error(`Scheduled reservation import failed for ${config.ota_name}:`, importResult.message);
+                }
+            }),
+            ...retryConfigs.map(async (config) => {
+                const result = await performOTASync(config);
+                if (!result.success && result.status !== 'skipped') {
+                    console.error(`Sync retry failed for ${config.ota_name}:`, result.message);
+                }
+            }),
+            runDueICalImports()
+        ]);
+
+    } catch (error) {
+        console.error('OTA scheduler error:', error);
+    }
+};
+
+// Start the background scheduler
+const start = () => {
+    if (task) {
+        return;
+    }
+
+    if (!cron.validate(SCHEDULER_CRON)) {
+        console.error(`Invalid OTA_SCHEDULER_CRON expression: ${SCHEDULER_CRON}`);
+        return;
+    }
+
+    task = cron.schedule(SCHEDULER_CRON, runDueSyncs);
+    console.log(`⏱️  OTA sync scheduler started (${SCHEDULER_CRON})`);
+};
+
+// Stop the background scheduler
+const stop = () => {
+    if (task) {
+        task.stop();
+        task = null;
+    }
+};
+
+// Get the upcoming run for each configuration
+const getSchedule = async () => {
+    const configs = await db.execute(`
+        SELECT id, ota_name, hotel_id, is_active, sync_frequency, last_sync_at, ${SYNC_IN_PROGRESS_COLUMN}, ${CIRCUIT_BLOCKED_COLUMN}
+        FROM ota_configurations
+        ORDER BY ota_name
+    `);
+
+    return {
+        running: task !== null,
+        cron: SCHEDULER_CRON,
+        last_tick_at: lastTickAt ? lastTickAt.toISOString() : null,
+        configurations: configs.map(config => {
+            const nextRunAt = getNextRunAt(config);
+            return {
+                ...config,
+                sync_in_progress: Boolean(config.sync_in_progress),
+                circuit_blocked: Boolean(config.circuit_blocked),
+                next_run_at: nextRunAt ? nextRunAt.toISOString() : null
+            };
+        })
+    };
+};
+
+module.exports = {
+    start,
+    stop,
+    getSchedule,
+    runDueSyncs
+};
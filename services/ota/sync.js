@@ -0,0 +1,452 @@
+const moment = require('moment');
+const db = require('../../config/database');
+const { buildRoomCalendar } = require('../availability');
+const { requireAdapter } = require('./adapters');
+const { getMappings, getConfigurationRooms, buildARIUnits } = require('./mappings');
+const { requestFullARIPush, getARIChanges, getARIJournalPosition, purgePushedARIChanges } = require('../ariJournal');
+const { recordFailedPush, resolveRetryJobs } = require('./retries');
+const { decryptConfiguration, maskSecrets, maskRequest } = require('./credentials');
+const { captureExchanges } = require('./utils');
+const { getChannelCurrency, applyChannelPricing } = require('./pricing');
+const { getChannelControls, applyChannelControls } = require('./allotments');
+const { acquireSyncLock, releaseSyncLock, keepSyncLock, getSyncLock } = require('./locks');
+const { enterCircuit, recordCircuitResult } = require('./circuitBreaker');
+const { validatePushRequests, describeValidationErrors } = require('./payloadSchemas');
+
+// Number of days pushed when a configuration does not set ari_window_days
+const DEFAULT_ARI_WINDOW_DAYS = 365;
+
+// Days the request/response payloads of a sync log are kept; the log row itself is kept
+const SYNC_LOG_RETENTION_DAYS = parseInt(process.env.OTA_SYNC_LOG_RETENTION_DAYS) || 30;
+
+// Longest request or response body stored in a sync log, in characters
+const MAX_LOGGED_BODY_LENGTH = 100000;
+
+// Helper function to log sync operations. `details` can carry the sync's httpStatus,
+// durationMs and exchanges (see buildExchangeLog).
+const logSyncOperation = async (otaConfigId, syncType, status, message, recordsProcessed = 0, details = {}) => {
+    try {
+        await db.execute(
+            'INSERT INTO ota_sync_logs (ota_configuration_id, sync_type, status, message, records_processed, http_status, duration_ms, exchanges, sync_completed_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+            [
+                otaConfigId, syncType, status, message, recordsProcessed,
+                details.httpStatus ?? null,
+                details.durationMs ?? null,
+                details.exchanges ? JSON.stringify(details.exchanges) : null
+            ]
+        );
+    } catch (error) {
+        console.error('Failed to log sync operation:', error);
+    }
+};
+
+const truncateBody = (body) => {
+    if (body === null || body === undefined) {
+        return null;
+    }
+
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    if (text.length <= MAX_LOGGED_BODY_LENGTH) {
+        return body;
+    }
+    return `${text.slice(0, MAX_LOGGED_BODY_LENGTH)}... [truncated ${text.length - MAX_LOGGED_BODY_LENGTH} characters]`;
+};
+
+// Prepare the exchanges captured during a push for the sync log: secrets masked
+// (before truncating, so no part of one is kept) and large bodies cut short
+const buildExchangeLog = (exchanges, channelConfig) => exchanges.map(exchange => {
+    const request = maskRequest(exchange.request, channelConfig);
+    return {
+        request: { ...request, body: truncateBody(request.body) },
+        http_status: exchange.status,
+        response_body: truncateBody(maskSecrets(exchange.response, channelConfig)),
+        error: maskSecrets(exchange.error, channelConfig),
+        duration_ms: exchange.duration_ms
+    };
+});
+
+// Sync log details for a channel call whose requests were captured with captureExchanges().
+// channelConfig is the decrypted configuration the requests were sent with (null when
+// nothing could be sent), whose secrets are masked in the log.
+const buildLogDetails = (exchanges, channelConfig, startedAt) => {
+    const exchangeLog = channelConfig ? buildExchangeLog(exchanges, channelConfig) : null;
+    return {
+        httpStatus: exchangeLog && exchangeLog.length > 0 ? exchangeLog[exchangeLog.length - 1].http_status : null,
+        durationMs: Date.now() - startedAt,
+        exchanges: exchangeLog
+    };
+};
+
+// Clear request/response payloads older than SYNC_LOG_RETENTION_DAYS
+const purgeSyncLogPayloads = () => db.execute(
+    'UPDATE ota_sync_logs SET exchanges = NULL WHERE exchanges IS NOT NULL AND sync_started_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [SYNC_LOG_RETENTION_DAYS]
+);
+
+// The dates a configuration pushes: [startDate, endDate)
+const getARIWindow = (config) => {
+    const windowDays = parseInt(config.ari_window_days) || DEFAULT_ARI_WINDOW_DAYS;
+    const startDate = moment().startOf('day');
+    return { startDate, endDate: startDate.clone().add(windowDays, 'days') };
+};
+
+// Get the configuration's mapped channel room types with per-date ARI for a date range
+// (its whole window by default), limited by the channel's allotments and stop-sells.
+// Returns { units, unmappedRooms, emptyMappings } (see buildARIUnits and applyChannelControls).
+const getARIUnits = async (config, range = getARIWindow(config)) => {
+    const rooms = await getConfigurationRooms(config);
+    const mappings = await getMappings(config.id);
+    
+    const calendar = await buildRoomCalendar(rooms, range.startDate, range.endDate);
+    const controls = await getChannelControls(config.id, range.startDate, range.endDate);
+    
+    const result = buildARIUnits(rooms.map(room => ({
+        ...room,
+        dates: calendar.get(room.id)
+    })), mappings);
+    
+    return { ...result, units: applyChannelControls(result.units, controls) };
+};
+
+// Work out what changed since the configuration's last successful push: the journaled
+// room dates inside the window, plus the dates that have rolled into the window since
+// (which every room needs). Returns { startDate, endDate, isChanged(roomId, date) }
+// where the range spans all changed dates and is empty when nothing changed.
+const getPendingChanges = async (config, window, latestChangeId) => {
+    const firstDate = window.startDate.format('YYYY-MM-DD');
+    const lastDate = window.endDate.clone().subtract(1, 'day').format('YYYY-MM-DD');
+    const changedDates = new Map();
+    const allDates = [];
+    
+    const entries = await getARIChanges(config.last_pushed_change_id, latestChangeId);
+    entries.forEach(entry => {
+        if (!changedDates.has(entry.room_id)) {
+            changedDates.set(entry.room_id, new Set());
+        }
+        const roomDates = changedDates.get(entry.room_id);
+        const current = moment.max(moment(entry.start_date).startOf('day'), window.startDate.clone());
+        const end = moment.min(moment(entry.end_date).startOf('day'), moment(lastDate));
+        
+        for (; !current.isAfter(end); current.add(1, 'day')) {
+            roomDates.add(current.format('YYYY-MM-DD'));
+            allDates.push(current.format('YYYY-MM-DD'));
+        }
+    });
+    
+    const pushedThrough = moment(config.ari_pushed_through).format('YYYY-MM-DD');
+    let newDatesFrom = null;
+    if (pushedThrough < lastDate) {
+        newDatesFrom = moment.max(moment(pushedThrough).add(1, 'day'), window.startDate.clone()).format('YYYY-MM-DD');
+        allDates.push(newDatesFrom, lastDate);
+    }
+    
+    if (allDates.length === 0) {
+        return { startDate: window.startDate, endDate: window.startDate, isChanged: () => false };
+    }
+    
+    allDates.sort();
+    return {
+        startDate: moment(allDates[0]),
+        endDate: moment(allDates[allDates.length - 1]).add(1, 'day'),
+        isChanged: (roomId, date) => (newDatesFrom !== null && date >= newDatesFrom) ||
+            (changedDates.has(roomId) && changedDates.get(roomId).has(date))
+    };
+};
+
+// Keep only the dates where one of a unit's rooms changed, dropping units left empty
+const filterChangedUnits = (units, changes) => units
+    .map(unit => ({
+        ...unit,
+        dates: unit.dates.filter(day => unit.room_ids.some(roomId => changes.isChanged(roomId, day.date)))
+    }))
+    .filter(unit => unit.dates.length > 0);
+
+// Check the requests a push of the payload would send against the adapter's schema.
+// Returns [{ request, errors }], with secrets masked in the errors (they quote values).
+const validateRequests = async (adapter, channelConfig, payload) => {
+    const validation = await validatePushRequests(adapter, adapter.buildPushRequests(channelConfig, payload));
+    return validation.map(({ request, errors }) => ({ request, errors: maskSecrets(errors, channelConfig) }));
+};
+
+// Describe local rooms by number for sync messages
+const describeRooms = (rooms) => rooms.map(room => room.room_number || room.id).join(', ');
+
+// Channel room types (ARI units) as "ROOM/RATE_PLAN", for sync results
+const getUnitCodes = (units) => units.map(unit => (unit.ota_rate_plan_code
+    ? `${unit.ota_room_code}/${unit.ota_rate_plan_code}`
+    : unit.ota_room_code));
+
+// Describe room types left out for their price, with the first night priced at 0 or less
+const describeUnpricedUnits = (units) => units
+    .map(unit => `${getUnitCodes([unit])[0]} from ${unit.dates.find(day => !(day.rate > 0)).date}`)
+    .join(', ');
+
+// Work out what a sync would push, without sending or recording anything. changedUnits
+// carry the channel's prices, in currencyCode. Room types the rate adjustment prices at 0
+// or less on any night are left out of changedUnits and returned as unpricedUnits.
+// Returns { adapter, latestChangeId, settledChangeId, window, isFull, mode, currencyCode, units, changedUnits, unpricedUnits, unmappedRooms, recordsProcessed }.
+const planSync = async (config, options = {}) => {
+    const adapter = requireAdapter(config.ota_name);
+    
+    // Read the journal position first so changes recorded during the push are sent next time
+    const { latestId: latestChangeId, settledId: settledChangeId } = await getARIJournalPosition();
+    const window = getARIWindow(config);
+    const isFull = Boolean(options.full) || config.last_pushed_change_id == null || config.ari_pushed_through == null;
+    const changes = isFull ? null : await getPendingChanges(config, window, latestChangeId);
+    
+    // Get the mapped room types with their per-date ARI
+    const { units, unmappedRooms } = await getARIUnits(config, changes || window);
+    const currency = await getChannelCurrency(config);
+    const pricedUnits = applyChannelPricing(changes ? filterChangedUnits(units, changes) : units, config, currency);
+    
+    // Never offer a room for nothing: a rate adjustment that leaves no rate fails the room type
+    const unpricedUnits = pricedUnits.filter(unit => unit.dates.some(day => !(day.rate > 0)));
+    const changedUnits = pricedUnits.filter(unit => !unpricedUnits.includes(unit));
+    
+    return {
+        adapter,
+        latestChangeId,
+        settledChangeId,
+        window,
+        isFull,
+        mode: isFull ? 'full' : 'delta',
+        currencyCode: currency.currencyCode,
+        units,
+        changedUnits,
+        unpricedUnits,
+        unmappedRooms,
+        recordsProcessed: changedUnits.reduce((total, unit) => total + unit.dates.length, 0)
+    };
+};
+
+const describeUnpricedSkip = (unpricedUnits) => `the rate adjustment prices ${unpricedUnits.length} room type(s) ` +
+    `at 0 or less, not sent: ${describeUnpricedUnits(unpricedUnits)}`;
+
+// Explain why a planned sync has nothing to push, or null when it does
+const describeEmptySync = ({ adapter, units, changedUnits, unpricedUnits, unmappedRooms }) => {
+    if (units.length === 0) {
+        return `${adapter.label} sync skipped: no rooms are mapped to channel room types` +
+            (unmappedRooms.length > 0 ? ` (unmapped: ${describeRooms(unmappedRooms)})` : '');
+    }
+    if (changedUnits.length === 0 && unpricedUnits.length > 0) {
+        return `${adapter.label} sync failed: ${describeUnpricedSkip(unpricedUnits)}`;
+    }
+    if (changedUnits.length === 0) {
+        return `${adapter.label} is up to date: no ARI changes since the last push`;
+    }
+    return null;
+};
+
+// Main sync function. Pushes only the room dates changed since the configuration's last
+// successful push, or its whole window with { full: true } (and on the first push).
+// Skipped (status 'skipped', with the running job_id) while another sync of the
+// configuration holds its lock; sync jobs take the lock up front and pass { lockToken }.
+// Fails without calling the channel while its circuit is open (see circuitBreaker), and
+// when the payload does not match the adapter's payloadSchema (see payloadSchemas).
+const performOTASync = async (config, options = {}) => {
+    const lockToken = options.lockToken || await acquireSyncLock(config.id);
+    
+    if (!lockToken) {
+        const lock = await getSyncLock(config.id);
+        return {
+            success: false,
+            status: 'skipped',
+            message: `${config.ota_name} sync skipped: another sync of this configuration is running`,
+            job_id: lock ? lock.job_id : null,
+            records_processed: 0
+        };
+    }
+    
+    const stopRenewing = keepSyncLock(config.id, lockToken);
+    const startedAt = Date.now();
+    
+    try {
+        const plan = await planSync(config, options);
+        const { adapter, settledChangeId, window, isFull, mode, currencyCode, units, changedUnits, unpricedUnits, unmappedRooms, recordsProcessed } = plan;
+        const unmappedRoomNumbers = unmappedRooms.map(room => room.room_number || room.id);
+        
+        let syncResult;
+        const exchanges = [];
+        let channelConfig = null;
+        if (units.length === 0) {
+            // Never push internal IDs the channel does not know about
+            syncResult = { success: false, message: describeEmptySync(plan) };
+        } else if (changedUnits.length === 0) {
+            syncResult = { success: unpricedUnits.length === 0, message: describeEmptySync(plan) };
+        } else {
+            try {
+                channelConfig = decryptConfiguration(config);
+                const payload = await adapter.buildAriPayload(channelConfig, changedUnits, { currencyCode });
+                
+                // The payload is checked first, so a push that will not be sent never probes the circuit
+                const validation = await validateRequests(adapter, channelConfig, payload);
+                const invalid = validation.filter(result => result.errors.length > 0);
+                const circuit = invalid.length > 0 ? null : await enterCircuit(config.id);
+                
+                if (invalid.length > 0) {
+                    // Sending the same payload again would fail the same way, so no retry is
+                    // queued; the changes go out with the next push
+                    validation.forEach(({ request, errors }) => exchanges.push({
+                        request,
+                        status: null,
+                        response: null,
+                        error: errors.length > 0 ? `Not sent: ${errors.join('; ')}` : 'Not sent',
+                        duration_ms: 0
+                    }));
+                    syncResult = {
+                        success: false,
+                        message: `${adapter.label} sync failed: the payload does not match the channel's schema, nothing was sent. ${describeValidationErrors(invalid)}`,
+                        validation_errors: invalid.map(({ request, errors }) => ({ url: request.url, errors }))
+                    };
+                } else if (!circuit.allowed) {
+                    // Nothing was sent, so no retry attempt is used up; the changes wait for the next push
+                    syncResult = {
+                        success: false,
+                        message: `${adapter.label} sync failed: the channel is down, not calling it again before ${circuit.retry_at}`,
+                        circuit_open: true
+                    };
+                } else {
+                    const pushResult = await captureExchanges(exchanges, () => adapter.push(channelConfig, payload));
+                    await recordCircuitResult(config.id);
+                    const warnings = pushResult.warnings || [];
+                    
+                    syncResult = {
+                        success: true,
+                        message: `${adapter.label} ARI ${mode} sync completed successfully (${recordsProcessed} room type day(s))` +
+                            (unmappedRooms.length > 0 ? `. Skipped ${unmappedRooms.length} unmapped room(s): ${describeRooms(unmappedRooms)}` : '') +
+                            (unpricedUnits.length > 0 ? `. Failed: ${describeUnpricedSkip(unpricedUnits)}` : '') +
+                            (warnings.length > 0 ? `. Warnings: ${warnings.join('; ')}` : ''),
+                        data: pushResult.data
+                    };
+                }
+            } catch (error) {
+                console.error(`${adapter.label} sync error:`, error);
+                const message = `${adapter.label} sync failed: ${error.message}`;
+                await recordCircuitResult(config.id, error);
+                
+                // The channel may hold part of a failed full push, so the next push is full too
+                if (isFull) {
+                    await requestFullARIPush([config.id]);
+                }
+                
+                // Queue the push for a retry, or dead-letter it once out of attempts
+                const retryJob = await recordFailedPush(config.id, message);
+                syncResult = {
+                    success: false,
+                    message: retryJob.status === 'dead'
+                        ? `${message}. Moved to the dead-letter list after ${retryJob.attempts} attempt(s)`
+                        : `${message}. Retry ${retryJob.attempts} of ${retryJob.max_attempts - 1} scheduled`,
+                    retry_job: retryJob
+                };
+            }
+        }
+        
+        syncResult.mode = mode;
+        syncResult.unmapped_rooms = unmappedRoomNumbers;
+        syncResult.unpriced_room_types = getUnitCodes(unpricedUnits);
+        
+        // Log the sync operation (partial when some rooms were left out)
+        let status = syncResult.success ? 'success' : 'failed';
+        if (syncResult.success && (unmappedRooms.length > 0 || unpricedUnits.length > 0)) {
+            status = 'partial';
+        }
+        syncResult.status = status;
+        syncResult.records_processed = recordsProcessed;
+        
+        await logSyncOperation(
+            config.id,
+            'availability',
+            status,
+            syncResult.message,
+            recordsProcessed,
+            buildLogDetails(exchanges, channelConfig, startedAt)
+        );
+        await purgeSyncLogPayloads();
+        
+        // Update last sync time
+        await db.execute(
+            'UPDATE ota_configurations SET last_sync_at = NOW() WHERE id = ?',
+            [config.id]
+        );
+        
+        // Move the watermark past what the channel now has; after a failed push the same changes are sent again.
+        // It only moves up to settled changes, so the newest ones are sent once more next time
+        // in case an older change commits in between (pushing ARI twice is harmless).
+        if (syncResult.success) {
+            await db.execute(
+                'UPDATE ota_configurations SET last_pushed_change_id = ?, ari_pushed_through = ? WHERE id = ?',
+                [Math.max(config.last_pushed_change_id || 0, settledChangeId), window.endDate.clone().subtract(1, 'day').format('YYYY-MM-DD'), config.id]
+            );
+            await purgePushedARIChanges();
+            await resolveRetryJobs(config.id);
+        }
+        
+        return syncResult;
+        
+    } catch (error) {
+        console.error('OTA sync error:', error);
+        await logSyncOperation(
+            config.id,
+            'availability',
+            'failed',
+            error.message,
+            0,
+            { durationMs: Date.now() - startedAt }
+        );
+        
+        return {
+            success: false,
+            status: 'failed',
+            message: error.message,
+            records_processed: 0
+        };
+    } finally {
+        stopRenewing();
+        await releaseSyncLock(config.id, lockToken);
+    }
+};
+
+// Render the requests a sync would send right now, with secrets masked, without
+// calling the channel or writing anything (no sync log, watermark or retry job)
+const previewOTASync = async (config, options = {}) => {
+    const plan = await planSync(config, options);
+    const { adapter, currencyCode, changedUnits, unpricedUnits, unmappedRooms } = plan;
+    const emptyMessage = describeEmptySync(plan);
+    let requests = [];
+    
+    if (!emptyMessage) {
+        const channelConfig = decryptConfiguration(config);
+        const payload = await adapter.buildAriPayload(channelConfig, changedUnits, { currencyCode });
+        const validation = await validateRequests(adapter, channelConfig, payload);
+        requests = validation.map(({ request, errors }) => ({ ...maskRequest(request, channelConfig), validation_errors: errors }));
+    }
+    
+    const invalidCount = requests.filter(request => request.validation_errors.length > 0).length;
+    let message = emptyMessage || `${adapter.label} sync would send ${requests.length} request(s)` +
+        (unpricedUnits.length > 0 ? `; ${describeUnpricedSkip(unpricedUnits)}` : '');
+    if (invalidCount > 0) {
+        message = `${adapter.label} sync would fail: ${invalidCount} of ${requests.length} request(s) do not match the channel's schema, so nothing would be sent`;
+    }
+    
+    return {
+        ota_name: config.ota_name,
+        adapter: adapter.name,
+        mode: plan.mode,
+        currency_code: currencyCode,
+        message,
+        records_processed: plan.recordsProcessed,
+        unmapped_rooms: unmappedRooms.map(room => room.room_number || room.id),
+        unpriced_room_types: getUnitCodes(unpricedUnits),
+        requests
+    };
+};
+
+module.exports = {
+    DEFAULT_ARI_WINDOW_DAYS,
+    logSyncOperation,
+    buildLogDetails,
+    getARIUnits,
+    performOTASync,
+    previewOTASync
+};
+
@@ -0,0 +1,105 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const moment = require('moment');
+
+// Helpers shared by the channel adapters and the reservation import
+
+// Join the configured endpoint with a resource path
+const buildUrl = (endpointUrl, path) => `${endpointUrl.replace(/\/+$/, '')}/${path}`;
+
+// Append query parameters to a URL, leaving out those without a value
+const withQuery = (url, params) => {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+    return query ? `${url}?${query}` : url;
+};
+
+// HTTP Basic Authorization header value for a configuration's username/password
+const basicAuth = (config) => `Basic ${Buffer.from(`${config.api_username}:${config.api_password}`).toString('base64')}`;
+
+// Exchange list of the captureExchanges() call the current request belongs to
+const exchangeStore = new AsyncLocalStorage();
+
+// Run a callback, appending every request it sends through sendRequest() to `exchanges`
+// as { request, status, response, error, duration_ms }. Entries are added as each request
+// finishes, so they are complete even when the callback throws. Concurrent callbacks
+// (channels synced in parallel) each keep their own list.
+const captureExchanges = (exchanges, callback) => exchangeStore.run(exchanges, callback);
+
+// Send a request described as { method, url, headers, body } (see buildPushRequests)
+const sendRequest = async (request, timeout = 30000) => {
+    const exchanges = exchangeStore.getStore();
+    const startedAt = Date.now();
+
+    try {
+        const response = await axios({
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            data: request.body,
+            timeout
+        });
+
+        if (exchanges) {
+            exchanges.push({ request, status: response.status, response: response.data, error: null, duration_ms: Date.now() - startedAt });
+        }
+        return response;
+    } catch (error) {
+        if (exchanges) {
+            exchanges.push({
+                request,
+                status: error.response ? error.response.status : null,
+                response: error.response ? error.response.data : null,
+                error: error.message,
+                duration_ms: Date.now() - startedAt
+            });
+        }
+        throw error;
+    }
+};
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Collapse consecutive calendar days with the same key into { start, end, day } ranges,
+// so a year of unchanged ARI becomes a handful of messages instead of one per night
+const groupDateRanges = (dates, keyOf) => {
+    const ranges = [];
+
+    for (const day of dates) {
+        const key = keyOf(day);
+        const last = ranges[ranges.length - 1];
+
+        if (last && last.key === key && moment(day.date).diff(moment(last.end), 'days') === 1) {
+            last.end = day.date;
+        } else {
+            ranges.push({ key, start: day.date, end: day.date, day });
+        }
+    }
+
+    return ranges;
+};
+
+// Channels describe reservation states differently; reduce them to new/modified/cancelled
+const normalizeStatus = (status) => {
+    const value = String(status || '').toLowerCase();
+
+    if (value.includes('cancel')) {
+        return 'cancelled';
+    }
+    if (value.includes('modif') || value.includes('alter') || value.includes('amend')) {
+        return 'modified';
+    }
+    return 'new';
+};
+
+module.exports = {
+    buildUrl,
+    withQuery,
+    basicAuth,
+    captureExchanges,
+    sendRequest,
+    toArray,
+    groupDateRanges,
+    normalizeStatus
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const db = require('../../config/database');
+const { getAdapter } = require('./adapters');
+
+// Header carrying the hex HMAC-SHA256 of the raw request body, keyed with the
+// configuration's webhook_secret (an optional "sha256=" prefix is accepted)
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Secret a webhook is checked against when no configuration matches it, so an unknown
+// hotel is refused the same way, and in about the same time, as a bad signature
+const UNKNOWN_CONFIGURATION_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Verify a webhook signature in constant time
+const verifySignature = (secret, rawBody, signature) => {
+    if (!secret || !rawBody || !signature) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Find the active configuration a webhook belongs to, by channel adapter and hotel ID
+const findWebhookConfiguration = async (adapter, hotelId) => {
+    const configs = await db.execute('SELECT * FROM ota_configurations WHERE is_active = TRUE');
+    const channelConfigs = configs.filter(config => getAdapter(config.ota_name) === adapter);
+
+    if (hotelId !== undefined && hotelId !== null && hotelId !== '') {
+        return channelConfigs.find(config => String(config.hotel_id) === String(hotelId)) || null;
+    }
+
+    // Without a hotel ID the configuration is only unambiguous if there is one
+    return channelConfigs.length === 1 ? channelConfigs[0] : null;
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    UNKNOWN_CONFIGURATION_SECRET,
+    verifySignature,
+    findWebhookConfiguration
+};
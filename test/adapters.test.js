@@ -0,0 +1,150 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const { requireAdapter } = require('../services/ota/adapters');
+const { validatePushRequests } = require('../services/ota/payloadSchemas');
+const { startMockServer } = require('../mock/server');
+const { sampleReservation } = require('../mock/utils');
+
+// Every adapter against its mock channel (see mock/): the requests it sends must be ones
+// the channel accepts, and channel errors must surface as failures.
+
+// The mock's credentials for each adapter, and how to read the room type of an update
+// the mock recorded
+const CHANNELS = [
+    {
+        adapter: 'booking_com',
+        config: { hotel_id: '2000', api_username: 'booking_user', api_password: 'booking_pass' },
+        badCredentials: { api_password: 'wrong' },
+        roomCode: update => update.StatusApplicationControl.$.InvTypeCode
+    },
+    {
+        adapter: 'opentravel',
+        mock: 'booking_com',
+        config: { hotel_id: '2000', api_username: 'booking_user', api_password: 'booking_pass' },
+        badCredentials: { api_password: 'wrong' },
+        roomCode: update => update.StatusApplicationControl.$.InvTypeCode
+    },
+    {
+        adapter: 'agoda',
+        config: { hotel_id: '3000', api_key: 'agoda_key' },
+        badCredentials: { api_key: 'wrong' },
+        roomCode: update => update.RoomId
+    },
+    {
+        adapter: 'airbnb',
+        config: { hotel_id: '4000', api_key: 'airbnb_key' },
+        badCredentials: { api_key: 'wrong' },
+        roomCode: update => update.room_id
+    },
+    {
+        adapter: 'expedia',
+        config: { hotel_id: '1000', api_username: 'expedia_user', api_password: 'expedia_pass' },
+        badCredentials: { api_password: 'wrong' },
+        roomCode: update => update.RoomType.$.id
+    }
+];
+
+const date = moment().add(1, 'day').format('YYYY-MM-DD');
+
+const units = [{
+    ota_room_code: 'DLX',
+    ota_rate_plan_code: 'BAR',
+    room_name: 'Deluxe',
+    dates: [{
+        date,
+        is_available: true,
+        inventory: 2,
+        rate: 120,
+        min_stay: 1,
+        max_stay: 30,
+        closed_to_arrival: false,
+        closed_to_departure: false
+    }]
+}];
+
+for (const channel of CHANNELS) {
+    describe(`${channel.adapter} adapter`, () => {
+        const adapter = requireAdapter(channel.adapter);
+        let mock;
+        let config;
+
+        before(async () => {
+            mock = await startMockServer({ channel: channel.mock || channel.adapter });
+            config = { id: 1, ota_name: channel.adapter, ...channel.config, endpoint_url: mock.url };
+        });
+
+        after(() => mock.close());
+
+        beforeEach(() => {
+            mock.app.locals.updates.length = 0;
+            mock.app.locals.faults.length = 0;
+            mock.app.locals.reservations = [sampleReservation()];
+        });
+
+        const buildPayload = () => adapter.buildAriPayload(config, units, { currencyCode: 'EUR' });
+
+        test('accepts the hotel ID of the channel', () => {
+            assert.strictEqual(adapter.validateHotelId(config.hotel_id), null);
+        });
+
+        test('connects with the configured credentials', async () => {
+            await adapter.testConnection(config);
+        });
+
+        test('fails the connection test with wrong credentials', async () => {
+            await assert.rejects(adapter.testConnection({ ...config, ...channel.badCredentials }));
+        });
+
+        test('pushes ARI the channel accepts', async () => {
+            await adapter.push(config, buildPayload());
+
+            assert.ok(mock.app.locals.updates.length > 0);
+            assert.ok(mock.app.locals.updates.every(update => channel.roomCode(update) === 'DLX'));
+        });
+
+        test('builds push requests that match its payload schema', async () => {
+            const results = await validatePushRequests(adapter, adapter.buildPushRequests(config, buildPayload()));
+
+            assert.deepStrictEqual(results.flatMap(result => result.errors), []);
+        });
+
+        test('fails the push when the channel answers 503', async () => {
+            mock.app.locals.faults.push({ operation: 'ari', status: 503, message: 'Down for maintenance' });
+
+            await assert.rejects(adapter.push(config, buildPayload()), /503/);
+            assert.deepStrictEqual(mock.app.locals.updates, []);
+        });
+
+        if (adapter.fetchReservations) {
+            test('fetches reservations', async () => {
+                const reservations = await adapter.fetchReservations(config, null);
+
+                assert.strictEqual(reservations.length, 1);
+                assert.strictEqual(reservations[0].ota_reservation_id, 'MOCK-1001');
+                assert.strictEqual(reservations[0].status, 'new');
+                assert.strictEqual(reservations[0].adults, 2);
+                assert.strictEqual(reservations[0].customer.email, 'test.guest@example.com');
+            });
+
+            test('fails the reservation pull when the channel answers 500', async () => {
+                mock.app.locals.faults.push({ operation: 'reservations', status: 500, message: 'Internal error' });
+
+                await assert.rejects(adapter.fetchReservations(config, null), /500/);
+            });
+        }
+    });
+}
+
+test('Expedia refuses a hotel ID its schema cannot carry', () => {
+    const { validateHotelId } = requireAdapter('expedia');
+
+    assert.strictEqual(validateHotelId('EXP-1000'), 'must be a positive whole number');
+    assert.strictEqual(validateHotelId('0'), 'must be a positive whole number');
+});
+
+test('OpenTravel channels refuse a hotel code longer than the schema allows', () => {
+    for (const name of ['booking_com', 'opentravel']) {
+        assert.strictEqual(requireAdapter(name).validateHotelId('H'.repeat(65)), 'must be at most 64 characters');
+    }
+});
@@ -0,0 +1,50 @@
+const path = require('path');
+
+// In-memory stand-in for config/database, so services can be tested without MySQL.
+// Install it before requiring the code under test:
+//
+//   const db = installDatabase((query, params) => query.includes('FROM rooms') ? rooms : []);
+//   const { performReservationImport } = require('../services/ota/reservations');
+//
+// Every statement is recorded on db.queries as { query, params }, with the query's
+// whitespace collapsed. The handler answers each one (rows for a SELECT, { affectedRows,
+// insertId } for a write); statements it leaves unanswered get [].
+
+const DATABASE_MODULE = path.join(__dirname, '..', '..', 'config', 'database.js');
+
+const normalize = (query) => query.replace(/\s+/g, ' ').trim();
+
+const installDatabase = (handler = () => undefined) => {
+    const db = {
+        queries: [],
+        handler,
+        execute: async (query, params = []) => {
+            const statement = { query: normalize(query), params };
+            db.queries.push(statement);
+            const rows = await db.handler(statement.query, params);
+            return rows === undefined ? [] : rows;
+        },
+        transaction: async (queries) => {
+            const results = [];
+            for (const { query, params } of queries) {
+                results.push(await db.execute(query, params));
+            }
+            return results;
+        },
+        // Statements whose query contains `text`
+        find: (text) => db.queries.filter(statement => statement.query.includes(text))
+    };
+
+    require.cache[DATABASE_MODULE] = {
+        id: DATABASE_MODULE,
+        filename: DATABASE_MODULE,
+        loaded: true,
+        exports: db
+    };
+
+    return db;
+};
+
+module.exports = {
+    installDatabase
+};
@@ -0,0 +1,43 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installDatabase } = require('./helpers/database');
+
+const db = installDatabase();
+const { createSyncJob } = require('../services/ota/jobs');
+
+const config = { id: 7, ota_name: 'agoda' };
+const lockedUntil = new Date('2026-10-19T10:05:00Z');
+
+// Configuration 7 is locked by `holder`: a sync job's ID, or null for a scheduled sync
+const lockedBy = (holder) => (query) => {
+    if (query.includes('SET sync_lock_token = ?, sync_locked_until')) {
+        return { affectedRows: 0 };
+    }
+    if (query.includes('AS locked_until FROM ota_configurations')) {
+        return [{ job_id: holder, locked_until: lockedUntil }];
+    }
+    return undefined;
+};
+
+beforeEach(() => {
+    db.queries = [];
+});
+
+test('reports the sync job holding a configuration', async () => {
+    db.handler = lockedBy(12);
+
+    const { jobId, running } = await createSyncJob([config]);
+
+    assert.strictEqual(jobId, null);
+    assert.deepStrictEqual(running, [{ config, job_id: 12, locked_until: lockedUntil }]);
+});
+
+test('reports when a scheduled sync holds a configuration, and until when', async () => {
+    db.handler = lockedBy(null);
+
+    const { jobId, running } = await createSyncJob([config]);
+
+    assert.strictEqual(jobId, null);
+    assert.deepStrictEqual(running, [{ config, job_id: null, locked_until: lockedUntil }]);
+    assert.deepStrictEqual(db.find('INSERT INTO ota_sync_jobs'), []);
+});
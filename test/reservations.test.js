@@ -0,0 +1,175 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { installDatabase } = require('./helpers/database');
+const { startMockServer } = require('../mock/server');
+
+const db = installDatabase();
+const agoda = require('../services/ota/adapters/agoda');
+const { importReservation, performReservationImport } = require('../services/ota/reservations');
+
+const config = {
+    id: 7,
+    ota_name: 'agoda',
+    hotel_id: '3000',
+    api_key: 'agoda_key',
+    endpoint_url: 'http://127.0.0.1:1/',
+    last_reservation_sync_at: '2026-01-01 00:00:00'
+};
+
+// A cancellation of a reservation never imported is skipped without touching bookings
+const importable = { ota_reservation_id: 'AG-1', status: 'cancelled' };
+const broken = { ota_reservation_id: null, status: 'new' };
+
+const getCursorUpdates = () => db.find('SET last_reservation_sync_at');
+
+beforeEach(() => {
+    db.queries = [];
+    db.handler = () => undefined;
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a partial import keeps the reservation cursor in place', async () => {
+    mock.method(agoda, 'fetchReservations', async () => [importable, broken]);
+
+    const result = await performReservationImport(config);
+
+    assert.strictEqual(result.status, 'partial');
+    assert.strictEqual(result.results.failed, 1);
+    assert.deepStrictEqual(getCursorUpdates(), []);
+});
+
+test('a complete import moves the reservation cursor', async () => {
+    mock.method(agoda, 'fetchReservations', async () => [importable]);
+
+    const result = await performReservationImport(config);
+
+    assert.strictEqual(result.status, 'success');
+    const updates = getCursorUpdates();
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].params[1], config.id);
+});
+
+test('the failed reservations are asked for again on the next pull', async () => {
+    const fetchReservations = mock.method(agoda, 'fetchReservations', async () => [importable, broken]);
+
+    await performReservationImport(config);
+    await performReservationImport(config);
+
+    assert.deepStrictEqual(fetchReservations.mock.calls.map(call => call.arguments[1]), [
+        config.last_reservation_sync_at,
+        config.last_reservation_sync_at
+    ]);
+});
+
+const reservation = {
+    ota_reservation_id: 'AG-2',
+    status: 'new',
+    ota_room_code: 'DBL',
+    check_in_date: '2026-03-01',
+    check_out_date: '2026-03-03',
+    adults: 2,
+    children: 0,
+    total_amount: '200.00',
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' }
+};
+
+const storedBooking = {
+    id: 42,
+    room_id: 5,
+    check_in_date: '2026-03-01',
+    check_out_date: '2026-03-03',
+    adults: 2,
+    children: 0,
+    total_amount: '200.00',
+    special_requests: null,
+    booking_status: 'confirmed'
+};
+
+// Answer the lookups of a new reservation for room 5; getBooking() is what the bookings lookup finds
+const answerNewReservation = (getBooking) => (query) => {
+    if (query.startsWith('SELECT * FROM bookings')) {
+        const booking = getBooking();
+        return booking ? [booking] : [];
+    }
+    if (query.includes('FROM ota_room_mappings')) {
+        return [{ room_id: 5, ota_rate_plan_code: null }];
+    }
+    if (query.startsWith('SELECT * FROM rooms')) {
+        return [{ id: 5 }];
+    }
+    if (query.startsWith('SELECT id FROM customers')) {
+        return [{ id: 9 }];
+    }
+    return undefined;
+};
+
+test('a reservation inserted by a concurrent import is applied over it', async () => {
+    let inserted = null;
+    const answer = answerNewReservation(() => inserted);
+    db.handler = (query) => {
+        if (query.startsWith('INSERT INTO bookings')) {
+            // The other import commits its row between this one's lookup and insert
+            inserted = storedBooking;
+            throw Object.assign(new Error('Duplicate entry for key unique_ota_reservation'), { code: 'ER_DUP_ENTRY' });
+        }
+        return answer(query);
+    };
+
+    const result = await importReservation(config, reservation);
+
+    assert.deepStrictEqual(result, { action: 'unchanged', booking_id: storedBooking.id });
+    assert.strictEqual(db.find('INSERT INTO bookings').length, 1);
+});
+
+test('a duplicate insert that is not resolved by the retry fails the reservation', async () => {
+    db.handler = (query) => {
+        if (query.startsWith('INSERT INTO bookings')) {
+            throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+        }
+        return answerNewReservation(() => null)(query);
+    };
+
+    await assert.rejects(importReservation(config, reservation), { code: 'ER_DUP_ENTRY' });
+    assert.strictEqual(db.find('INSERT INTO bookings').length, 2);
+});
+
+test('a cancellation already applied by a concurrent import is reported unchanged', async () => {
+    db.handler = (query) => {
+        if (query.startsWith('SELECT * FROM bookings')) {
+            return [storedBooking];
+        }
+        if (query.startsWith('UPDATE bookings')) {
+            return { affectedRows: 0 };
+        }
+        return undefined;
+    };
+
+    const result = await importReservation(config, { ota_reservation_id: 'AG-2', status: 'cancelled' });
+
+    assert.deepStrictEqual(result, { action: 'unchanged', booking_id: storedBooking.id });
+    assert.deepStrictEqual(db.find('INSERT INTO ari_change_journal'), []);
+});
+
+test('the reservation pull is logged with its requests, secrets masked', async () => {
+    const channel = await startMockServer({ channel: 'agoda' });
+    try {
+        await performReservationImport({ ...config, endpoint_url: channel.url });
+    } finally {
+        await channel.close();
+    }
+
+    const [log] = db.find('INSERT INTO ota_sync_logs');
+    const [, syncType, , , , httpStatus, , exchanges] = log.params;
+    assert.strictEqual(syncType, 'bookings');
+    assert.strictEqual(httpStatus, 200);
+    assert.ok(!exchanges.includes(config.api_key));
+
+    const [exchange] = JSON.parse(exchanges);
+    assert.strictEqual(exchange.request.method, 'GET');
+    assert.match(exchange.request.url, /\/bookings\?hotel_id=3000/);
+    assert.strictEqual(exchange.http_status, 200);
+});
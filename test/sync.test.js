@@ -0,0 +1,97 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { installDatabase } = require('./helpers/database');
+
+const db = installDatabase();
+const { performOTASync } = require('../services/ota/sync');
+const { startMockServer } = require('../mock/server');
+
+const mappings = [
+    { id: 1, ota_configuration_id: 7, room_id: 1, category_id: null, ota_room_code: 'STD', ota_rate_plan_code: 'BAR', is_active: 1 },
+    { id: 2, ota_configuration_id: 7, room_id: 2, category_id: null, ota_room_code: 'STE', ota_rate_plan_code: 'BAR', is_active: 1 }
+];
+
+const rooms = [
+    { id: 1, room_number: '101', room_name: 'Standard', room_category_id: 1, price_per_night: '100.00', is_active: 1 },
+    { id: 2, room_number: '201', room_name: 'Suite', room_category_id: 2, price_per_night: '300.00', is_active: 1 }
+];
+
+// A configuration, its mapped rooms and the journal, for a full push of two days
+const answer = (query) => {
+    if (query.includes('SET sync_lock_token = ?, sync_locked_until')) {
+        return { affectedRows: 1 };
+    }
+    if (query.includes('FROM ota_room_mappings')) {
+        return mappings;
+    }
+    if (query.includes('FROM rooms')) {
+        return rooms;
+    }
+    if (query.includes('FROM currencies')) {
+        return [{ code: 'USD', exchange_rate: 1, is_default: 1, is_active: 1 }];
+    }
+    if (query.includes('FROM ari_change_journal')) {
+        return [{ latest_id: 0, settled_id: 0 }];
+    }
+    if (query.includes('FROM ota_retry_jobs')) {
+        return [{ id: 1, status: 'pending', attempts: 1, max_attempts: 5 }];
+    }
+    if (query.includes('INSERT INTO ota_retry_jobs')) {
+        return { insertId: 1 };
+    }
+    return undefined;
+};
+
+let channel;
+
+before(async () => {
+    channel = await startMockServer({ channel: 'agoda' });
+});
+
+after(() => channel.close());
+
+beforeEach(() => {
+    db.queries = [];
+    db.handler = answer;
+    channel.app.locals.updates.length = 0;
+    channel.app.locals.requests.length = 0;
+    mock.method(console, 'error', () => {});
+});
+
+const sync = (pricing) => performOTASync({
+    id: 7,
+    ota_name: 'agoda',
+    hotel_id: '3000',
+    api_key: 'agoda_key',
+    endpoint_url: channel.url,
+    ari_window_days: 2,
+    rate_adjustment_type: 'fixed',
+    rate_rounding: 'none',
+    ...pricing
+}, { full: true });
+
+test('pushes every room type a discount leaves a rate for', async () => {
+    const result = await sync({ rate_adjustment_value: -50 });
+
+    assert.strictEqual(result.status, 'success');
+    assert.deepStrictEqual(result.unpriced_room_types, []);
+    assert.deepStrictEqual(channel.app.locals.updates.map(update => update.Rates[0].Rate), [50, 250]);
+});
+
+test('fails the room types a discount prices at 0 or less and pushes the others', async () => {
+    const result = await sync({ rate_adjustment_value: -100 });
+
+    assert.strictEqual(result.status, 'partial');
+    assert.deepStrictEqual(result.unpriced_room_types, ['STD/BAR']);
+    assert.match(result.message, /prices 1 room type\(s\) at 0 or less, not sent: STD\/BAR from \d{4}-\d{2}-\d{2}/);
+    assert.deepStrictEqual(channel.app.locals.updates.map(update => update.RoomId), ['STE']);
+});
+
+test('fails the sync without calling the channel when no room type has a rate', async () => {
+    const result = await sync({ rate_adjustment_type: 'percentage', rate_adjustment_value: -100 });
+
+    assert.strictEqual(result.status, 'failed');
+    assert.deepStrictEqual(result.unpriced_room_types, ['STD/BAR', 'STE/BAR']);
+    assert.deepStrictEqual(channel.app.locals.requests, []);
+    assert.deepStrictEqual(db.find('SET last_pushed_change_id'), []);
+});